@@ -55,9 +55,51 @@ const blogSchema = mongoose.Schema({
         type: [mongoose.Schema.Types.ObjectId],
         ref: 'comments'
     },
+    // Counts keyed by reaction name, see Schema/Reaction.js
+    reactions: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
     draft: {
         type: Boolean,
         default: false
+    },
+    search_text: {
+        type: String,
+        default: "",
+        select: false
+    },
+    revision: {
+        type: Number,
+        default: 0
+    },
+    word_count: {
+        type: Number,
+        default: 0
+    },
+    reading_time: {
+        type: Number,
+        default: 0
+    },
+    publish_at: {
+        type: Date,
+        default: null
+    },
+    // Precomputed by updateTrendingScores in server.js
+    trending: {
+        day: {
+            type: Number,
+            default: 0
+        },
+        week: {
+            type: Number,
+            default: 0
+        },
+        month: {
+            type: Number,
+            default: 0
+        }
     }
 
 }, 
@@ -68,4 +110,14 @@ const blogSchema = mongoose.Schema({
 
 })
 
+blogSchema.index({ draft: 1, publish_at: 1 })
+blogSchema.index({ draft: 1, "trending.day": -1 })
+blogSchema.index({ draft: 1, "trending.week": -1 })
+blogSchema.index({ draft: 1, "trending.month": -1 })
+
+blogSchema.index({ title: "text", des: "text", tags: "text", search_text: "text" }, {
+    name: "blog_text_search",
+    weights: { title: 10, tags: 6, des: 4, search_text: 1 }
+})
+
 module.exports = mongoose.model("blogs", blogSchema);
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+const blogStatSchema = mongoose.Schema({
+
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    // UTC midnight of the day the activity happened
+    day: {
+        type: Date,
+        required: true
+    },
+    reads: {
+        type: Number,
+        default: 0
+    },
+    likes: {
+        type: Number,
+        default: 0
+    },
+    comments: {
+        type: Number,
+        default: 0
+    }
+
+})
+
+blogStatSchema.index({ blog: 1, day: 1 }, { unique: true })
+blogStatSchema.index({ author: 1, day: 1 })
+
+module.exports = mongoose.model("blog_stats", blogStatSchema)
@@ -32,6 +32,37 @@ const commentSchema = mongoose.Schema({
     parent: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'comments'
+    },
+    hidden: {
+        type: Boolean,
+        default: false
+    },
+    reactions: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    mentions: {
+        type: [mongoose.Schema.Types.ObjectId],
+        ref: 'users',
+        default: []
+    },
+    edited: {
+        type: Boolean,
+        default: false
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    // Previous versions of the comment, only shown to moderators
+    history: {
+        type: [{
+            comment: String,
+            savedAt: Date
+        }],
+        default: [],
+        select: false
     }
 
 },
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const followSchema = mongoose.Schema({
+
+    follower: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    following: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: false
+    }
+})
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true })
+followSchema.index({ following: 1, createdAt: -1 })
+followSchema.index({ follower: 1, createdAt: -1 })
+
+module.exports = mongoose.model("follows", followSchema)
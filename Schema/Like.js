@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const likeSchema = mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'likedAt',
+        updatedAt: false
+    }
+})
+
+likeSchema.index({ user: 1, blog: 1 }, { unique: true })
+likeSchema.index({ blog: 1, likedAt: -1 })
+likeSchema.index({ user: 1, likedAt: -1 })
+
+module.exports = mongoose.model("likes", likeSchema)
@@ -3,12 +3,14 @@ const mongoose = require("mongoose");
 const notificationSchema = mongoose.Schema({
     type: {
         type: String,
-        enum: ["like", "comment", "reply"],
+        enum: ["like", "comment", "reply", "follow", "report_resolved", "reaction", "mention"],
         required: true
     },
     blog: {
         type: mongoose.Schema.Types.ObjectId,
-        required: true,
+        required: function () {
+            return !["follow", "report_resolved"].includes(this.type)
+        },
         ref: 'blogs'
     },
     notification_for: {
@@ -33,9 +35,29 @@ const notificationSchema = mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'comments'
     },
+    report: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'reports'
+    },
+    reaction: {
+        type: String
+    },
     seen: {
         type: Boolean,
         default: false
+    },
+    in_app: {
+        type: Boolean,
+        default: true
+    },
+    email_digest: {
+        type: String,
+        enum: ["daily", "weekly", null],
+        default: null
+    },
+    emailed: {
+        type: Boolean,
+        default: false
     }
 },
 {
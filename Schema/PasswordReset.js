@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+const passwordResetSchema = mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    used: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    }
+
+},
+{
+    timestamps: true
+})
+
+module.exports = mongoose.model("password_resets", passwordResetSchema)
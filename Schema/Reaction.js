@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const reactionSchema = mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    target_type: {
+        type: String,
+        enum: ["blog", "comment"],
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // The blog the target belongs to, so deleting a blog can clean up its reactions
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    reaction: {
+        type: String,
+        enum: ["clap", "heart", "party", "thinking", "fire"],
+        required: true
+    }
+
+},
+{
+    timestamps: true
+})
+
+reactionSchema.index({ user: 1, target: 1, reaction: 1 }, { unique: true })
+reactionSchema.index({ blog: 1 })
+
+module.exports = mongoose.model("reactions", reactionSchema)
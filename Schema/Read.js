@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const readSchema = mongoose.Schema({
+
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    reader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    // user id for signed in readers, hashed ip and user agent otherwise
+    visitor: {
+        type: String,
+        required: true
+    },
+    // Number of the dedup window the read fell in, a visitor counts once per window
+    window: {
+        type: Number,
+        required: true
+    },
+    referrer: {
+        type: String,
+        default: "direct"
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'readAt',
+        updatedAt: false
+    }
+})
+
+readSchema.index({ blog: 1, visitor: 1, window: 1 }, { unique: true })
+// Reads are only kept for deduplication, the counts live in blog_stats and referrer_stats
+readSchema.index({ readAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+module.exports = mongoose.model("reads", readSchema)
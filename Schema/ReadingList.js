@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const readingListSchema = mongoose.Schema({
+
+    name: {
+        type: String,
+        required: true,
+        maxlength: [60, 'Reading list name should not be more than 60'],
+    },
+    description: {
+        type: String,
+        maxlength: [200, 'Reading list description should not be more than 200'],
+        default: "",
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    blogs: {
+        type: [mongoose.Schema.Types.ObjectId],
+        ref: 'blogs',
+        default: [],
+    },
+    is_public: {
+        type: Boolean,
+        default: false
+    }
+
+},
+{
+    timestamps: true
+})
+
+module.exports = mongoose.model("reading_lists", readingListSchema)
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const referrerStatSchema = mongoose.Schema({
+
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    // UTC midnight of the day the reads happened
+    day: {
+        type: Date,
+        required: true
+    },
+    // Host name of the referring page, "direct" or "internal"
+    referrer: {
+        type: String,
+        required: true
+    },
+    reads: {
+        type: Number,
+        default: 0
+    }
+
+})
+
+referrerStatSchema.index({ blog: 1, day: 1, referrer: 1 }, { unique: true })
+referrerStatSchema.index({ author: 1, day: 1 })
+
+module.exports = mongoose.model("referrer_stats", referrerStatSchema)
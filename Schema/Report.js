@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const reportSchema = mongoose.Schema({
+
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    target_type: {
+        type: String,
+        enum: ["blog", "comment"],
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    preview: {
+        type: String,
+        default: ""
+    },
+    reason: {
+        type: String,
+        enum: ["spam", "harassment", "hate_speech", "misinformation", "sexual_content", "violence", "copyright", "other"],
+        required: true
+    },
+    note: {
+        type: String,
+        maxlength: [500, 'Report note should not be more than 500'],
+        default: ""
+    },
+    status: {
+        type: String,
+        enum: ["open", "dismissed", "hidden", "deleted"],
+        default: "open"
+    },
+    resolved_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'users'
+    },
+    resolvedAt: {
+        type: Date
+    }
+
+},
+{
+    timestamps: true
+})
+
+reportSchema.index({ reporter: 1, target: 1 }, { unique: true, partialFilterExpression: { status: "open" } })
+
+module.exports = mongoose.model("reports", reportSchema)
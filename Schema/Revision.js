@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+const revisionSchema = mongoose.Schema({
+
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    revision: {
+        type: Number,
+        required: true
+    },
+    title: String,
+    banner: String,
+    des: String,
+    content: {
+        type: [],
+    },
+    tags: {
+        type: [String],
+    },
+    draft: {
+        type: Boolean,
+        default: false
+    },
+    restored_from: {
+        type: Number
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'savedAt',
+        updatedAt: false
+    }
+})
+
+revisionSchema.index({ blog: 1, revision: -1 }, { unique: true })
+
+module.exports = mongoose.model("revisions", revisionSchema)
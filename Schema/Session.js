@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    token_hash: {
+        type: String,
+        required: true
+    },
+    previous_token_hash: {
+        type: String,
+        default: ""
+    },
+    user_agent: {
+        type: String,
+        default: ""
+    },
+    ip: {
+        type: String,
+        default: ""
+    },
+    last_used_at: {
+        type: Date,
+        default: Date.now
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    }
+
+},
+{
+    timestamps: true
+})
+
+module.exports = mongoose.model("sessions", sessionSchema)
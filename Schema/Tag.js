@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const tagSchema = mongoose.Schema({
+
+    name: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+        unique: true
+    },
+    description: {
+        type: String,
+        maxlength: 300,
+        default: ""
+    },
+    // Published blogs using the tag, kept current by adjustTagCounts in server.js
+    post_count: {
+        type: Number,
+        default: 0
+    },
+    follower_count: {
+        type: Number,
+        default: 0
+    },
+    // Set when the tag was merged into another one, create-blog saves the target instead
+    alias_of: {
+        type: String,
+        default: null
+    }
+
+},
+{
+    timestamps: true
+})
+
+tagSchema.index({ alias_of: 1, post_count: -1 })
+
+module.exports = mongoose.model("tags", tagSchema)
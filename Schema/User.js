@@ -3,6 +3,18 @@ const mongoose = require("mongoose");
 let profile_imgs_name_list = ["Garfield", "Tinkerbell", "Annie", "Loki", "Cleo", "Angel", "Bob", "Mia", "Coco", "Gracie", "Bear", "Bella", "Abby", "Harley", "Cali", "Leo", "Luna", "Jack", "Felix", "Kiki"];
 let profile_imgs_collections_list = ["notionists-neutral", "adventurer-neutral", "fun-emoji"];
 
+const notificationPreference = (email) => ({
+    in_app: {
+        type: Boolean,
+        default: true
+    },
+    email: {
+        type: String,
+        enum: ["immediate", "daily", "weekly", "off"],
+        default: email
+    }
+})
+
 const userSchema = mongoose.Schema({
     personal_info: {
         fullname: {
@@ -70,15 +82,71 @@ const userSchema = mongoose.Schema({
             type: Number,
             default: 0
         },
+        total_followers: {
+            type: Number,
+            default: 0
+        },
+        total_following: {
+            type: Number,
+            default: 0
+        },
     },
     google_auth: {
         type: Boolean,
         default: false
     },
+    email_verified: {
+        type: Boolean,
+        default: false
+    },
+    verification_sent_at: {
+        type: Date,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ["reader", "author", "moderator", "admin"],
+        default: "author"
+    },
+    suspended: {
+        type: Boolean,
+        default: false
+    },
+    suspension_reason: {
+        type: String,
+        default: ""
+    },
+    notification_preferences: {
+        like: notificationPreference("off"),
+        comment: notificationPreference("daily"),
+        reply: notificationPreference("daily"),
+        follow: notificationPreference("off"),
+        reaction: notificationPreference("off"),
+        mention: notificationPreference("daily"),
+    },
+    digest: {
+        daily_sent_at: {
+            type: Date,
+            default: null
+        },
+        weekly_sent_at: {
+            type: Date,
+            default: null
+        },
+    },
     blogs: {
         type: [mongoose.Schema.Types.ObjectId],
         ref: 'blogs',
         default: [],
+    },
+    bookmarks: {
+        type: [mongoose.Schema.Types.ObjectId],
+        ref: 'blogs',
+        default: [],
+    },
+    followed_tags: {
+        type: [String],
+        default: [],
     }
 
 }, 
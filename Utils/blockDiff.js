@@ -0,0 +1,110 @@
+// Block-by-block comparison of two Editor.js block lists, based on the
+// longest common subsequence of blocks with identical type and data.
+let maxDiffBlocks = 2000
+
+const blockKey = (block) => {
+    return JSON.stringify({ type: block.type, data: block.data })
+}
+
+const lcsOperations = (oldBlocks, newBlocks) => {
+    let oldKeys = oldBlocks.map(blockKey)
+    let newKeys = newBlocks.map(blockKey)
+
+    let rows = oldKeys.length + 1
+    let cols = newKeys.length + 1
+    let table = Array.from({ length: rows }, () => new Uint32Array(cols))
+
+    for (let i = oldKeys.length - 1; i >= 0; i--) {
+        for (let j = newKeys.length - 1; j >= 0; j--) {
+            table[i][j] = oldKeys[i] == newKeys[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1])
+        }
+    }
+
+    let operations = []
+    let i = 0
+    let j = 0
+
+    while (i < oldKeys.length || j < newKeys.length) {
+        if (i < oldKeys.length && j < newKeys.length && oldKeys[i] == newKeys[j]) {
+            operations.push({ op: "unchanged", from_index: i, to_index: j })
+            i++
+            j++
+        } else if (j < newKeys.length && (i == oldKeys.length || table[i][j + 1] >= table[i + 1][j])) {
+            operations.push({ op: "added", to_index: j })
+            j++
+        } else {
+            operations.push({ op: "removed", from_index: i })
+            i++
+        }
+    }
+
+    return operations
+}
+
+// Removed and added blocks between two unchanged ones are reported as a single
+// change when they share the Editor.js block id, or failing that the block type
+const pairChanges = (removed, added, oldBlocks, newBlocks) => {
+    let changes = []
+    let unpairedAdded = [...added]
+
+    removed.forEach(from => {
+        let oldBlock = oldBlocks[from.from_index]
+
+        let matchIndex = unpairedAdded.findIndex(to => {
+            let newBlock = newBlocks[to.to_index]
+
+            if (oldBlock.id && newBlock.id) {
+                return oldBlock.id == newBlock.id
+            }
+            return oldBlock.type == newBlock.type
+        })
+
+        if (matchIndex == -1) {
+            changes.push({ op: "removed", from_index: from.from_index, before: oldBlock })
+        } else {
+            let [to] = unpairedAdded.splice(matchIndex, 1)
+            changes.push({ op: "changed", from_index: from.from_index, to_index: to.to_index, before: oldBlock, after: newBlocks[to.to_index] })
+        }
+    })
+
+    unpairedAdded.forEach(to => {
+        changes.push({ op: "added", to_index: to.to_index, after: newBlocks[to.to_index] })
+    })
+
+    return changes
+}
+
+const diffBlocks = (oldBlocks, newBlocks) => {
+    if (oldBlocks.length > maxDiffBlocks || newBlocks.length > maxDiffBlocks) {
+        throw new Error(`Cannot compare blogs with more than ${maxDiffBlocks} blocks`)
+    }
+
+    let changes = []
+    let removed = []
+    let added = []
+
+    const flush = () => {
+        changes.push(...pairChanges(removed, added, oldBlocks, newBlocks))
+        removed = []
+        added = []
+    }
+
+    lcsOperations(oldBlocks, newBlocks).forEach(operation => {
+        if (operation.op == "removed") {
+            removed.push(operation)
+        } else if (operation.op == "added") {
+            added.push(operation)
+        } else {
+            flush()
+            changes.push({ ...operation, block: newBlocks[operation.to_index] })
+        }
+    })
+    flush()
+
+    let summary = { unchanged: 0, added: 0, removed: 0, changed: 0 }
+    changes.forEach(change => summary[change.op]++)
+
+    return { summary, changes }
+}
+
+module.exports = { diffBlocks }
@@ -0,0 +1,71 @@
+// Helpers for the Editor.js content stored on blogs.
+// The editor output ({ time, blocks, version }) is saved into the `content` array,
+// so the blocks usually live at content[0].blocks.
+
+let wordsPerMinute = 230
+
+let nonTextKeys = ["file", "url", "source", "embed", "service", "link", "width", "height", "style", "alignment", "level", "language", "withBorder", "withBackground", "stretched", "checked", "meta"]
+
+const getBlocks = (content) => {
+    if (!content) {
+        return []
+    }
+
+    let editorData = Array.isArray(content) ? content[0] : content
+
+    if (editorData && Array.isArray(editorData.blocks)) {
+        return editorData.blocks
+    }
+
+    return []
+}
+
+const stripHTML = (text) => {
+    return String(text)
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+}
+
+const collectText = (value, texts) => {
+    if (typeof value == "string") {
+        texts.push(stripHTML(value))
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectText(item, texts))
+    } else if (value && typeof value == "object") {
+        Object.keys(value).forEach(key => {
+            if (!nonTextKeys.includes(key)) {
+                collectText(value[key], texts)
+            }
+        })
+    }
+    return texts
+}
+
+const blocksToText = (blocks) => {
+    return blocks
+    .map(block => collectText(block && block.data, []).join(" "))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+const getBlogDerivedFields = (content) => {
+    let blocks = getBlocks(content)
+
+    let search_text = blocksToText(blocks)
+    let word_count = search_text.length ? search_text.split(" ").length : 0
+
+    return {
+        search_text,
+        word_count,
+        reading_time: word_count ? Math.ceil(word_count / wordsPerMinute) : 0
+    }
+}
+
+module.exports = { getBlocks, stripHTML, blocksToText, getBlogDerivedFields }
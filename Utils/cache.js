@@ -0,0 +1,37 @@
+// Small in-memory cache with a time to live. When it is full the oldest
+// entry is dropped, Map keeps insertion order.
+const createCache = ({ ttl, max = 500 }) => {
+    let entries = new Map()
+
+    const get = (key) => {
+        let entry = entries.get(key)
+
+        if (!entry) {
+            return undefined
+        }
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key)
+            return undefined
+        }
+        return entry.value
+    }
+
+    const set = (key, value) => {
+        entries.delete(key)
+
+        if (entries.size >= max) {
+            entries.delete(entries.keys().next().value)
+        }
+        entries.set(key, { value, expiresAt: Date.now() + ttl })
+
+        return value
+    }
+
+    const remove = (key) => entries.delete(key)
+
+    const clear = () => entries.clear()
+
+    return { get, set, remove, clear }
+}
+
+module.exports = { createCache }
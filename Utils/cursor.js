@@ -0,0 +1,105 @@
+const mongoose = require("mongoose")
+
+// Cursors are base64url JSON the clients pass back untouched. A cursor holds the
+// sort values of the last item of the page, or an offset for sorts that can't be
+// compared in a query (text score). Dates and ObjectIds are tagged to survive JSON.
+const encodeValue = (value) => {
+    if (value instanceof Date) {
+        return { d: value.toISOString() }
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+        return { o: value.toString() }
+    }
+    return { v: value === undefined ? null : value }
+}
+
+const decodeValue = (value) => {
+    if ("d" in value) {
+        let date = new Date(value.d)
+
+        if (isNaN(date)) {
+            throw new Error("Invalid date")
+        }
+        return date
+    }
+    if ("o" in value) {
+        return new mongoose.Types.ObjectId(value.o)
+    }
+    return value.v
+}
+
+const getPath = (doc, path) => {
+    return path.split(".").reduce((value, key) => value == null ? value : value[key], doc)
+}
+
+const isKeysetSort = (sortQuery) => Object.values(sortQuery).every(direction => typeof direction == "number")
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString("base64url")
+
+const parseCursor = (cursor) => {
+    try {
+        let data = JSON.parse(Buffer.from(String(cursor), "base64url").toString())
+        return data && typeof data == "object" ? data : null
+    } catch (err) {
+        return null
+    }
+}
+
+// Documents sorted after `values`, the last sort field has to be unique so no two items tie
+const afterValues = (findQuery, sortQuery, values) => {
+    let fields = Object.keys(sortQuery)
+
+    let conditions = fields.map((field, i) => {
+        let condition = {}
+
+        fields.slice(0, i).forEach((previous, j) => condition[previous] = values[j])
+        condition[field] = { [sortQuery[field] < 0 ? "$lt" : "$gt"]: values[i] }
+
+        return condition
+    })
+
+    return { ...findQuery, $and: [...(findQuery.$and || []), { $or: conditions }] }
+}
+
+// Returns the query and skip for the page after `cursor`. Without a cursor the
+// caller's skip (from page numbers) is used, never below 0 so a large
+// deletedDocCount can't make it negative.
+const getPageQuery = (findQuery, sortQuery, cursor, skipDocs = 0) => {
+    if (!cursor) {
+        if (!Number.isInteger(skipDocs)) {
+            return { error: "Page is invalid" }
+        }
+        return { pageQuery: findQuery, skipDocs: Math.max(0, skipDocs) }
+    }
+
+    let data = parseCursor(cursor)
+
+    try {
+        if (!isKeysetSort(sortQuery) && data && Number.isInteger(data.offset) && data.offset >= 0) {
+            return { pageQuery: findQuery, skipDocs: data.offset }
+        }
+        if (isKeysetSort(sortQuery) && data && Array.isArray(data.after) && data.after.length == Object.keys(sortQuery).length) {
+            return { pageQuery: afterValues(findQuery, sortQuery, data.after.map(decodeValue)), skipDocs: 0 }
+        }
+    } catch (err) {}
+
+    return { error: "Cursor is invalid" }
+}
+
+// Pages are fetched with one extra item to know whether another page follows
+const splitPage = (docs, sortQuery, maxLimit, skipDocs) => {
+    if (docs.length <= maxLimit) {
+        return { docs, next_cursor: null }
+    }
+
+    docs = docs.slice(0, maxLimit)
+
+    let last = docs[docs.length - 1]
+    let next_cursor = isKeysetSort(sortQuery)
+        ? encodeCursor({ after: Object.keys(sortQuery).map(field => encodeValue(getPath(last, field))) })
+        : encodeCursor({ offset: skipDocs + maxLimit })
+
+    return { docs, next_cursor }
+}
+
+module.exports = { getPageQuery, splitPage }
@@ -0,0 +1,95 @@
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents built from the same feed description:
+// feed = { title, description, link, feed_url, updated, items: [{ id, url, title, summary, image, author, tags, published, updated, content_html }] }
+const { escapeHTML } = require("./search")
+
+const cdata = (text) => {
+    return `<![CDATA[${String(text || "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`
+}
+
+const itemHTML = (item) => {
+    let banner = item.image ? `<p><img src="${escapeHTML(item.image)}" alt="${escapeHTML(item.title)}"></p>\n` : ""
+    return banner + item.content_html
+}
+
+const buildRSS = (feed) => {
+    let items = feed.items.map(item => `
+        <item>
+            <title>${escapeHTML(item.title)}</title>
+            <link>${escapeHTML(item.url)}</link>
+            <guid isPermaLink="true">${escapeHTML(item.url)}</guid>
+            <description>${escapeHTML(item.summary)}</description>
+            <dc:creator>${escapeHTML(item.author.name)}</dc:creator>
+            <pubDate>${item.published.toUTCString()}</pubDate>
+            ${item.tags.map(tag => `<category>${escapeHTML(tag)}</category>`).join("")}
+            <content:encoded>${cdata(itemHTML(item))}</content:encoded>
+        </item>`).join("")
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel>
+        <title>${escapeHTML(feed.title)}</title>
+        <link>${escapeHTML(feed.link)}</link>
+        <description>${escapeHTML(feed.description)}</description>
+        <atom:link href="${escapeHTML(feed.feed_url)}" rel="self" type="application/rss+xml"/>
+        <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>${items}
+    </channel>
+</rss>`
+}
+
+const buildAtom = (feed) => {
+    let entries = feed.items.map(item => `
+    <entry>
+        <title>${escapeHTML(item.title)}</title>
+        <link rel="alternate" type="text/html" href="${escapeHTML(item.url)}"/>
+        <id>${escapeHTML(item.url)}</id>
+        <published>${item.published.toISOString()}</published>
+        <updated>${item.updated.toISOString()}</updated>
+        <author>
+            <name>${escapeHTML(item.author.name)}</name>
+            <uri>${escapeHTML(item.author.url)}</uri>
+        </author>
+        ${item.tags.map(tag => `<category term="${escapeHTML(tag)}"/>`).join("")}
+        <summary>${escapeHTML(item.summary)}</summary>
+        <content type="html">${escapeHTML(itemHTML(item))}</content>
+    </entry>`).join("")
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>${escapeHTML(feed.title)}</title>
+    <subtitle>${escapeHTML(feed.description)}</subtitle>
+    <link rel="alternate" type="text/html" href="${escapeHTML(feed.link)}"/>
+    <link rel="self" type="application/atom+xml" href="${escapeHTML(feed.feed_url)}"/>
+    <id>${escapeHTML(feed.feed_url)}</id>
+    <updated>${feed.updated.toISOString()}</updated>${entries}
+</feed>`
+}
+
+const buildJSONFeed = (feed) => {
+    return JSON.stringify({
+        version: "https://jsonfeed.org/version/1.1",
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.link,
+        feed_url: feed.feed_url,
+        items: feed.items.map(item => ({
+            id: item.url,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            image: item.image || undefined,
+            content_html: item.content_html,
+            date_published: item.published.toISOString(),
+            date_modified: item.updated.toISOString(),
+            authors: [{ name: item.author.name, url: item.author.url }],
+            tags: item.tags
+        }))
+    })
+}
+
+let feedFormats = {
+    rss: { build: buildRSS, contentType: "application/rss+xml; charset=utf-8" },
+    atom: { build: buildAtom, contentType: "application/atom+xml; charset=utf-8" },
+    json: { build: buildJSONFeed, contentType: "application/feed+json; charset=utf-8" }
+}
+
+module.exports = { feedFormats }
@@ -0,0 +1,60 @@
+// Email sending behind a swappable transport.
+// MAIL_TRANSPORT picks one of: smtp (production), file (writes every mail to MAIL_DIR) or console.
+const fs = require("fs")
+const path = require("path")
+
+const transports = {
+    smtp: () => {
+        const nodemailer = require("nodemailer")
+
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE == "true",
+            auth: {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASSWORD
+            }
+        })
+
+        return (mail) => transporter.sendMail(mail)
+    },
+    file: () => {
+        let mailDir = process.env.MAIL_DIR || path.join(__dirname, "..", "mails")
+
+        return async (mail) => {
+            await fs.promises.mkdir(mailDir, { recursive: true })
+
+            let fileName = `${Date.now()}-${String(mail.to).replace(/[^a-zA-Z0-9@.]/g, "_")}.json`
+
+            await fs.promises.writeFile(path.join(mailDir, fileName), JSON.stringify(mail, null, 4))
+        }
+    },
+    console: () => {
+        return async (mail) => {
+            console.log(`Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+        }
+    }
+}
+
+let send = null
+
+const setTransport = (transport) => {
+    send = typeof transport == "function" ? transport : transports[transport]()
+}
+
+const sendMail = ({ to, subject, text, html, headers }) => {
+    if (!send) {
+        let transportName = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV == "production" ? "smtp" : "console")
+
+        if (!transports[transportName]) {
+            return Promise.reject(new Error(`Unknown mail transport "${transportName}"`))
+        }
+
+        setTransport(transportName)
+    }
+
+    return Promise.resolve(send({ from: process.env.MAIL_FROM, to, subject, text, html, headers }))
+}
+
+module.exports = { sendMail, setTransport }
@@ -0,0 +1,278 @@
+// Converts a Markdown document (with optional front matter) into Editor.js blocks.
+// Anything without a matching block is kept as plain text where possible and reported
+// in `warnings` with the line it was found on.
+const { escapeHTML } = require("./search")
+
+const parseFrontMatterValue = (value) => {
+    value = value.trim()
+
+    if (/^\[.*\]$/.test(value)) {
+        return value.slice(1, -1).split(",").map(item => parseFrontMatterValue(item)).filter(item => item.length)
+    }
+    if (/^(".*"|'.*')$/.test(value)) {
+        return value.slice(1, -1)
+    }
+    return value
+}
+
+const parseFrontMatter = (lines, warnings) => {
+    let frontMatter = {}
+
+    if (lines[0] == undefined || lines[0].trim() != "---") {
+        return { frontMatter, bodyStart: 0 }
+    }
+
+    let end = lines.findIndex((line, i) => i > 0 && /^(---|\.\.\.)\s*$/.test(line))
+
+    if (end == -1) {
+        warnings.push({ line: 1, construct: "front matter", message: "Front matter is not closed with ---, it was read as content" })
+        return { frontMatter, bodyStart: 0 }
+    }
+
+    let currentKey = null
+
+    for (let i = 1; i < end; i++) {
+        let line = lines[i]
+        let listItem = line.match(/^\s+-\s+(.*)$/)
+        let pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/)
+
+        if (listItem && currentKey) {
+            frontMatter[currentKey] = [...(Array.isArray(frontMatter[currentKey]) ? frontMatter[currentKey] : []), parseFrontMatterValue(listItem[1])]
+        } else if (pair) {
+            currentKey = pair[1].toLowerCase()
+            frontMatter[currentKey] = pair[2].trim().length ? parseFrontMatterValue(pair[2]) : []
+        } else if (line.trim().length) {
+            warnings.push({ line: i + 1, construct: "front matter", message: `Could not read "${line.trim()}"` })
+        }
+    }
+
+    return { frontMatter, bodyStart: end + 1 }
+}
+
+const convertInline = (text, lineNumber, warnings) => {
+    let codeSpans = []
+    let escapes = []
+    let urls = []
+
+    // Code spans and backslash escapes are set aside first so nothing inside them is treated as formatting
+    let html = escapeHTML(text).replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(code)
+        return `\u0000${codeSpans.length - 1}\u0000`
+    })
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~])/g, (match, char) => {
+        escapes.push(char)
+        return `\u0001${escapes.length - 1}\u0001`
+    })
+
+    if (/!\[[^\]]*\]\([^)]*\)/.test(html)) {
+        warnings.push({ line: lineNumber, construct: "inline image", message: "Images inside text are not supported, only the alt text was kept" })
+        html = html.replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    }
+    if (/~~[^~]+~~/.test(html)) {
+        warnings.push({ line: lineNumber, construct: "strikethrough", message: "Strikethrough is not supported, the text was kept without it" })
+        html = html.replace(/~~([^~]+)~~/g, "$1")
+    }
+    if (/\[\^[^\]]+\]/.test(html)) {
+        warnings.push({ line: lineNumber, construct: "footnote", message: "Footnotes are not supported, the reference was kept as text" })
+    }
+
+    // Link URLs are set aside as well, so underscores and asterisks in them are not read as emphasis
+    html = html
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+|mailto:[^\s)]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (match, label, url) => {
+        urls.push(url)
+        return `<a href="\u0002${urls.length - 1}\u0002">${label}</a>`
+    })
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "<b>$2</b>")
+    .replace(/(^|[^*\w])([*_])(?=\S)(.+?)(?<=\S)\2(?![*\w])/g, "$1<i>$3</i>")
+    .replace(/ {2,}$/, "<br>")
+
+    return html
+    .replace(/\u0002(\d+)\u0002/g, (match, i) => urls[i])
+    .replace(/\u0001(\d+)\u0001/g, (match, i) => escapes[i])
+    .replace(/\u0000(\d+)\u0000/g, (match, i) => `<code class="inline-code">${codeSpans[i]}</code>`)
+}
+
+const markdownToBlocks = (markdown) => {
+    let warnings = []
+    let blocks = []
+    let lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n")
+
+    let { frontMatter, bodyStart } = parseFrontMatter(lines, warnings)
+
+    let paragraph = []
+    let paragraphLine = 0
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            blocks.push({ type: "paragraph", data: { text: paragraph.map((text, i) => convertInline(text, paragraphLine + i, warnings)).join(" ") } })
+            paragraph = []
+        }
+    }
+
+    let i = bodyStart
+
+    while (i < lines.length) {
+        let line = lines[i]
+        let lineNumber = i + 1
+        let fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+-]*)/)
+
+        if (fence) {
+            flushParagraph()
+
+            let code = []
+            i++
+
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i])
+                i++
+            }
+            if (i == lines.length) {
+                warnings.push({ line: lineNumber, construct: "code fence", message: "Code block is not closed, it runs to the end of the document" })
+            }
+
+            blocks.push({ type: "code", data: fence[2] ? { code: code.join("\n"), language: fence[2] } : { code: code.join("\n") } })
+            i++
+            continue
+        }
+
+        if (!line.trim().length) {
+            flushParagraph()
+            i++
+            continue
+        }
+
+        let heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/)
+
+        if (heading) {
+            flushParagraph()
+            blocks.push({ type: "header", data: { text: convertInline(heading[2], lineNumber, warnings), level: heading[1].length } })
+            i++
+            continue
+        }
+
+        if (paragraph.length && /^\s{0,3}(=+|-+)\s*$/.test(line)) {
+            // Setext heading: the paragraph text above is underlined with === or ---
+            let level = line.trim()[0] == "=" ? 1 : 2
+            let text = paragraph.map((text, j) => convertInline(text, paragraphLine + j, warnings)).join(" ")
+
+            paragraph = []
+            blocks.push({ type: "header", data: { text, level } })
+            i++
+            continue
+        }
+
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph()
+            blocks.push({ type: "delimiter", data: {} })
+            i++
+            continue
+        }
+
+        let image = line.match(/^\s*!\[([^\]]*)\]\((\S+?)(?:\s+"[^"]*")?\)\s*$/)
+
+        if (image) {
+            flushParagraph()
+
+            if (/^https?:\/\//i.test(image[2])) {
+                blocks.push({ type: "image", data: { file: { url: image[2] }, caption: escapeHTML(image[1]), withBorder: false, stretched: false, withBackground: false } })
+            } else {
+                warnings.push({ line: lineNumber, construct: "image", message: `Image "${image[2]}" is not a full http(s) link and was left out` })
+            }
+            i++
+            continue
+        }
+
+        if (/^\s{0,3}>/.test(line)) {
+            flushParagraph()
+
+            let quote = []
+
+            while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+                quote.push(convertInline(lines[i].replace(/^\s{0,3}>\s?/, ""), i + 1, warnings))
+                i++
+            }
+
+            blocks.push({ type: "quote", data: { text: quote.filter(text => text.length).join("<br>"), caption: "", alignment: "left" } })
+            continue
+        }
+
+        let listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/)
+
+        if (listItem) {
+            flushParagraph()
+
+            let style = /\d/.test(listItem[2]) ? "ordered" : "unordered"
+            let items = []
+            let tasks = []
+
+            while (i < lines.length) {
+                let item = lines[i].match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/)
+
+                if (item && (/\d/.test(item[2]) ? "ordered" : "unordered") != style && !item[1].length) {
+                    break
+                }
+
+                if (item) {
+                    if (item[1].length >= 2) {
+                        warnings.push({ line: i + 1, construct: "nested list", message: "Nested list items were moved up to the top level" })
+                    }
+
+                    let text = item[3]
+                    let task = text.match(/^\[([ xX])\]\s+(.*)$/)
+
+                    if (task) {
+                        text = task[2]
+                        tasks.push(task[1] != " ")
+                    }
+
+                    items.push(convertInline(text, i + 1, warnings))
+                } else if (/^\s{2,}\S/.test(lines[i]) && items.length) {
+                    // Lazy continuation of the previous item
+                    items[items.length - 1] += " " + convertInline(lines[i].trim(), i + 1, warnings)
+                } else {
+                    break
+                }
+                i++
+            }
+
+            if (tasks.length == items.length) {
+                blocks.push({ type: "checklist", data: { items: items.map((text, j) => ({ text, checked: tasks[j] })) } })
+            } else {
+                if (tasks.length) {
+                    warnings.push({ line: lineNumber, construct: "task list", message: "A list mixing tasks and plain items was kept as a list without checkboxes" })
+                }
+                blocks.push({ type: "list", data: { style, items } })
+            }
+            continue
+        }
+
+        if (/^\s*\|.*\|\s*$/.test(line) && i + 1 < lines.length && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1])) {
+            flushParagraph()
+            warnings.push({ line: lineNumber, construct: "table", message: "Tables are not supported, the rows were kept as plain text" })
+
+            while (i < lines.length && /^\s*\|/.test(lines[i])) {
+                if (!/^\s*\|?[\s:|-]+\|?\s*$/.test(lines[i])) {
+                    blocks.push({ type: "paragraph", data: { text: escapeHTML(lines[i].trim().replace(/^\||\|$/g, "").split("|").map(cell => cell.trim()).join(" | ")) } })
+                }
+                i++
+            }
+            continue
+        }
+
+        if (/^\s{0,3}<\/?[a-zA-Z][^>]*>/.test(line)) {
+            warnings.push({ line: lineNumber, construct: "html", message: "Raw HTML is not supported and was kept as text" })
+        }
+
+        if (!paragraph.length) {
+            paragraphLine = lineNumber
+        }
+        paragraph.push(line.trim())
+        i++
+    }
+
+    flushParagraph()
+
+    return { frontMatter, blocks, warnings }
+}
+
+module.exports = { markdownToBlocks }
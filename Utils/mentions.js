@@ -0,0 +1,32 @@
+// Usernames come from the part of the email before the @, plus a nanoid suffix
+// when taken, so they can hold dots, pluses, dashes and underscores
+let mentionRegex = /(^|[^\w@.+-])@([\w.+-]+)/g
+let maxMentions = 10
+
+// Returns one list of candidate usernames per distinct mention in `text`, longest first.
+// "@bob." at the end of a sentence could be the user "bob." or "bob", so both are
+// listed and the caller keeps the first one that exists.
+const extractMentions = (text) => {
+    let mentions = new Map()
+
+    for (let match of String(text || "").matchAll(mentionRegex)) {
+        let username = match[2]
+        let candidates = [username]
+
+        while (/[.+-]$/.test(username)) {
+            username = username.slice(0, -1)
+
+            if (username.length) {
+                candidates.push(username)
+            }
+        }
+
+        if (!mentions.has(match[2])) {
+            mentions.set(match[2], candidates)
+        }
+    }
+
+    return [...mentions.values()].slice(0, maxMentions)
+}
+
+module.exports = { extractMentions }
@@ -0,0 +1,51 @@
+// Open Server-Sent Events connections, grouped by user id so every tab
+// a user has open receives the same events.
+let clients = new Map()
+let heartbeatInterval = 25 * 1000
+
+const writeEvent = (res, event, data, id) => {
+    if (id) {
+        res.write(`id: ${id}\n`)
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+const addClient = (user_id, res) => {
+    let key = user_id.toString()
+
+    if (!clients.has(key)) {
+        clients.set(key, new Set())
+    }
+    clients.get(key).add(res)
+
+    return () => {
+        let connections = clients.get(key)
+
+        if (connections) {
+            connections.delete(res)
+
+            if (!connections.size) {
+                clients.delete(key)
+            }
+        }
+    }
+}
+
+const hasClients = (user_id) => {
+    return clients.has(user_id.toString())
+}
+
+const publish = (user_id, event, data, id) => {
+    let connections = clients.get(user_id.toString())
+
+    if (connections) {
+        connections.forEach(res => writeEvent(res, event, data, id))
+    }
+}
+
+// Comment lines keep proxies from closing idle connections
+setInterval(() => {
+    clients.forEach(connections => connections.forEach(res => res.write(": ping\n\n")))
+}, heartbeatInterval).unref()
+
+module.exports = { addClient, hasClients, publish, writeEvent }
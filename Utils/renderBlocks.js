@@ -0,0 +1,272 @@
+// Server-side rendering of Editor.js blocks to HTML and Markdown.
+// Block text can carry the editor's inline markup, so only a small set of inline tags
+// is kept and everything else is escaped.
+const { escapeHTML } = require("./search")
+const { stripHTML, blocksToText } = require("./blocks")
+
+let allowedInlineTags = ["b", "strong", "i", "em", "u", "mark", "code", "a", "br"]
+
+const isSafeURL = (url) => {
+    return /^(https?:\/\/|mailto:)/i.test(String(url || "").trim())
+}
+
+const sanitizeInline = (text) => {
+    return String(text || "").split(/(<[^>]*>)/g).map((part, i) => {
+        if (i % 2 == 0) {
+            // Text between tags is already HTML in editor output, so only stray < and > need escaping
+            return part.replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/&(?!(#\d+|#x[0-9a-f]+|\w+);)/gi, "&amp;")
+        }
+
+        let match = part.match(/^<\s*(\/?)\s*([a-z0-9]+)([^>]*)>$/i)
+
+        if (!match || !allowedInlineTags.includes(match[2].toLowerCase())) {
+            return ""
+        }
+
+        let [, closing, tagName, attributes] = match
+        tagName = tagName.toLowerCase()
+
+        if (tagName == "br") {
+            return "<br>"
+        }
+        if (closing) {
+            return `</${tagName}>`
+        }
+        if (tagName == "a") {
+            let href = attributes.match(/href\s*=\s*("([^"]*)"|'([^']*)')/i)
+            let url = href ? (href[2] || href[3]) : ""
+
+            return isSafeURL(url) ? `<a href="${escapeHTML(url)}" rel="noopener noreferrer nofollow">` : "<a>"
+        }
+        return `<${tagName}>`
+    }).join("")
+}
+
+const getImageURL = (data) => {
+    return (data.file && data.file.url) || data.url || ""
+}
+
+const renderListItems = (items, tag) => {
+    return `<${tag}>${items.map(item => {
+        if (typeof item == "string") {
+            return `<li>${sanitizeInline(item)}</li>`
+        }
+        let nested = item.items && item.items.length ? renderListItems(item.items, tag) : ""
+        return `<li>${sanitizeInline(item.content)}${nested}</li>`
+    }).join("")}</${tag}>`
+}
+
+const htmlRenderers = {
+    paragraph: (data) => `<p>${sanitizeInline(data.text)}</p>`,
+    header: (data) => {
+        let level = Math.min(Math.max(parseInt(data.level) || 2, 1), 6)
+        return `<h${level}>${sanitizeInline(data.text)}</h${level}>`
+    },
+    list: (data) => renderListItems(data.items || [], data.style == "ordered" ? "ol" : "ul"),
+    quote: (data) => `<blockquote><p>${sanitizeInline(data.text)}</p>${data.caption ? `<cite>${sanitizeInline(data.caption)}</cite>` : ""}</blockquote>`,
+    image: (data) => {
+        let url = getImageURL(data)
+
+        if (!isSafeURL(url)) {
+            return ""
+        }
+        return `<figure><img src="${escapeHTML(url)}" alt="${escapeHTML(stripHTML(data.caption || ""))}">${data.caption ? `<figcaption>${sanitizeInline(data.caption)}</figcaption>` : ""}</figure>`
+    },
+    code: (data) => `<pre><code>${escapeHTML(data.code || "")}</code></pre>`,
+    embed: (data) => {
+        let caption = data.caption ? `<figcaption>${sanitizeInline(data.caption)}</figcaption>` : ""
+
+        if (isSafeURL(data.embed)) {
+            return `<figure><iframe src="${escapeHTML(data.embed)}" width="${parseInt(data.width) || 580}" height="${parseInt(data.height) || 320}" frameborder="0" allowfullscreen></iframe>${caption}</figure>`
+        }
+        if (isSafeURL(data.source)) {
+            return `<p><a href="${escapeHTML(data.source)}" rel="noopener noreferrer nofollow">${escapeHTML(data.source)}</a></p>`
+        }
+        return ""
+    },
+    delimiter: () => "<hr>",
+    checklist: (data) => `<ul class="checklist">${(data.items || []).map(item => `<li><input type="checkbox" disabled${item.checked ? " checked" : ""}> ${sanitizeInline(item.text)}</li>`).join("")}</ul>`,
+    table: (data) => {
+        let rows = data.content || []
+        let head = data.withHeadings && rows.length ? `<thead><tr>${rows[0].map(cell => `<th>${sanitizeInline(cell)}</th>`).join("")}</tr></thead>` : ""
+        let body = (data.withHeadings ? rows.slice(1) : rows).map(row => `<tr>${row.map(cell => `<td>${sanitizeInline(cell)}</td>`).join("")}</tr>`).join("")
+
+        return `<table>${head}<tbody>${body}</tbody></table>`
+    },
+    warning: (data) => `<aside><strong>${sanitizeInline(data.title)}</strong><p>${sanitizeInline(data.message)}</p></aside>`
+}
+
+// Unknown block types are shown as their plain text rather than dropped or failing the whole render
+const renderUnknownHTML = (block) => {
+    let text = blocksToText([block])
+    return text ? `<p>${escapeHTML(text)}</p>` : ""
+}
+
+const blocksToHTML = (blocks) => {
+    return blocks.map(block => {
+        if (!block || !block.data) {
+            return ""
+        }
+
+        let renderer = htmlRenderers[block.type]
+
+        try {
+            return renderer ? renderer(block.data) : renderUnknownHTML(block)
+        } catch (err) {
+            return renderUnknownHTML(block)
+        }
+    })
+    .filter(html => html.length)
+    .join("\n")
+}
+
+const decodeEntities = (text) => {
+    return text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+}
+
+const escapeMarkdown = (text) => {
+    return text.replace(/([\\`*_[\]<>#|])/g, "\\$1")
+}
+
+let markdownMarkers = { b: "**", strong: "**", i: "_", em: "_", code: "`" }
+
+// Keeps a URL from closing the surrounding ](...) early
+const markdownURL = (url) => url.replace(/\(/g, "%28").replace(/\)/g, "%29").replace(/\s/g, "%20")
+
+const inlineToMarkdown = (text) => {
+    let links = []
+    let inCode = false
+
+    return String(text || "").split(/(<[^>]*>)/g).map((part, i) => {
+        if (i % 2 == 0) {
+            return inCode ? decodeEntities(part) : escapeMarkdown(decodeEntities(part))
+        }
+
+        let match = part.match(/^<\s*(\/?)\s*([a-z0-9]+)([^>]*)>$/i)
+
+        if (!match) {
+            return ""
+        }
+
+        let [, closing, tagName, attributes] = match
+        tagName = tagName.toLowerCase()
+
+        if (tagName == "br") {
+            return "  \n"
+        }
+        if (tagName == "code") {
+            inCode = !closing
+        }
+        if (markdownMarkers[tagName]) {
+            return markdownMarkers[tagName]
+        }
+        if (tagName == "a" && !closing) {
+            let href = attributes.match(/href\s*=\s*("([^"]*)"|'([^']*)')/i)
+            links.push(href && isSafeURL(href[2] || href[3]) ? decodeEntities(href[2] || href[3]) : null)
+            return links[links.length - 1] ? "[" : ""
+        }
+        if (tagName == "a" && closing) {
+            let url = links.pop()
+            return url ? `](${markdownURL(url)})` : ""
+        }
+        return ""
+    }).join("").trim()
+}
+
+const codeFence = (code) => {
+    let longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length))
+    return "`".repeat(longestRun + 1)
+}
+
+const renderMarkdownList = (items, ordered, depth) => {
+    return items.map((item, i) => {
+        let indent = "    ".repeat(depth)
+        let marker = ordered ? `${i + 1}.` : "-"
+        let content = typeof item == "string" ? item : item.content
+        let nested = item.items && item.items.length ? "\n" + renderMarkdownList(item.items, ordered, depth + 1) : ""
+
+        return `${indent}${marker} ${inlineToMarkdown(content)}${nested}`
+    }).join("\n")
+}
+
+const quoteLines = (text) => {
+    return text.split("\n").map(line => `> ${line}`).join("\n")
+}
+
+const markdownRenderers = {
+    paragraph: (data) => inlineToMarkdown(data.text),
+    header: (data) => {
+        let level = Math.min(Math.max(parseInt(data.level) || 2, 1), 6)
+        return `${"#".repeat(level)} ${inlineToMarkdown(data.text)}`
+    },
+    list: (data) => renderMarkdownList(data.items || [], data.style == "ordered", 0),
+    quote: (data) => quoteLines(inlineToMarkdown(data.text) + (data.caption ? `\n\n— ${inlineToMarkdown(data.caption)}` : "")),
+    image: (data) => {
+        let url = getImageURL(data)
+
+        if (!isSafeURL(url)) {
+            return ""
+        }
+        // The caption is already set in italics, emphasis inside it would close that early
+        let caption = inlineToMarkdown(String(data.caption || "").replace(/<\/?(i|em)\b[^>]*>/gi, ""))
+        return `![${stripHTML(data.caption || "").replace(/[[\]]/g, "")}](${markdownURL(url)})${caption ? `\n_${caption}_` : ""}`
+    },
+    code: (data) => {
+        let code = data.code || ""
+        let fence = codeFence(code)
+        return `${fence}${data.language || ""}\n${code}\n${fence}`
+    },
+    embed: (data) => {
+        let url = isSafeURL(data.source) ? data.source : isSafeURL(data.embed) ? data.embed : ""
+
+        if (!url) {
+            return ""
+        }
+        return `[${inlineToMarkdown(data.caption) || url}](${url})`
+    },
+    delimiter: () => "---",
+    checklist: (data) => (data.items || []).map(item => `- [${item.checked ? "x" : " "}] ${inlineToMarkdown(item.text)}`).join("\n"),
+    table: (data) => {
+        let rows = (data.content || []).map(row => `| ${row.map(cell => inlineToMarkdown(cell).replace(/\n/g, " ")).join(" | ")} |`)
+
+        if (!rows.length) {
+            return ""
+        }
+        let columns = data.content[0].length
+        let divider = `|${" --- |".repeat(columns)}`
+        let header = data.withHeadings ? rows.shift() : `|${"   |".repeat(columns)}`
+
+        return [header, divider, ...rows].join("\n")
+    },
+    warning: (data) => quoteLines(`**${inlineToMarkdown(data.title)}**\n${inlineToMarkdown(data.message)}`)
+}
+
+const renderUnknownMarkdown = (block) => {
+    return escapeMarkdown(blocksToText([block]))
+}
+
+const blocksToMarkdown = (blocks) => {
+    return blocks.map(block => {
+        if (!block || !block.data) {
+            return ""
+        }
+
+        let renderer = markdownRenderers[block.type]
+
+        try {
+            return renderer ? renderer(block.data) : renderUnknownMarkdown(block)
+        } catch (err) {
+            return renderUnknownMarkdown(block)
+        }
+    })
+    .filter(markdown => markdown.length)
+    .join("\n\n") + "\n"
+}
+
+module.exports = { blocksToHTML, blocksToMarkdown, sanitizeInline, isSafeURL }
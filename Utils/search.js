@@ -0,0 +1,71 @@
+let snippetLength = 160
+
+const escapeRegex = (text) => {
+    return String(text || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+const escapeHTML = (text) => {
+    return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+const getSearchTerms = (query) => {
+    return String(query || "")
+    .replace(/["-]/g, " ")
+    .split(/\s+/)
+    .filter(term => term.length > 1)
+}
+
+let stopWords = new Set([
+    "the", "and", "for", "are", "but", "not", "you", "all", "any", "can", "had", "her", "was", "one", "our", "out",
+    "has", "have", "his", "how", "its", "may", "new", "now", "see", "who", "did", "get", "use", "with", "this",
+    "that", "from", "they", "will", "would", "there", "their", "what", "about", "which", "when", "your", "into",
+    "than", "then", "them", "these", "some", "could", "other", "more", "also", "just", "like", "been", "were", "only"
+])
+
+// The most frequent meaningful words of `text`, used to compare blogs with each other
+const extractTerms = (text, limit = 10) => {
+    let counts = new Map()
+
+    String(text || "").toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+        if (word.length > 2 && !stopWords.has(word) && isNaN(word)) {
+            counts.set(word, (counts.get(word) || 0) + 1)
+        }
+    })
+
+    return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word)
+}
+
+// Returns a short piece of `text` around the first matching term, HTML escaped,
+// with every matching term wrapped in <mark>
+const buildSnippet = (text, query) => {
+    let terms = getSearchTerms(query)
+
+    if (!text) {
+        return ""
+    }
+    if (!terms.length) {
+        return escapeHTML(text.slice(0, snippetLength))
+    }
+
+    let termsRegex = new RegExp(terms.map(escapeRegex).join("|"), "gi")
+    let firstMatch = text.search(termsRegex)
+
+    let start = firstMatch > snippetLength / 3 ? firstMatch - Math.floor(snippetLength / 3) : 0
+    let snippet = text.slice(start, start + snippetLength)
+
+    let parts = snippet.split(new RegExp(`(${terms.map(escapeRegex).join("|")})`, "gi"))
+
+    let highlighted = parts.map((part, i) => i % 2 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)).join("")
+
+    return (start > 0 ? "..." : "") + highlighted + (start + snippetLength < text.length ? "..." : "")
+}
+
+module.exports = { escapeRegex, escapeHTML, buildSnippet, extractTerms }
@@ -0,0 +1,83 @@
+// XML for sitemaps (https://www.sitemaps.org/protocol.html) and the share pages crawlers read Open Graph tags from.
+const { escapeHTML } = require("./search")
+
+let sitemapLimit = 50000
+
+const buildUrlset = (urls) => {
+    let entries = urls.map(({ loc, lastmod }) => `
+    <url>
+        <loc>${escapeHTML(loc)}</loc>${lastmod ? `
+        <lastmod>${lastmod.toISOString()}</lastmod>` : ""}
+    </url>`).join("")
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries}
+</urlset>`
+}
+
+const buildSitemapIndex = (locs) => {
+    let entries = locs.map(loc => `
+    <sitemap>
+        <loc>${escapeHTML(loc)}</loc>
+    </sitemap>`).join("")
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries}
+</sitemapindex>`
+}
+
+// `meta` = { title, description, image, url, author, author_url, published, modified, tags }
+const buildSharePage = (meta) => {
+    let jsonLD = {
+        "@context": "https://schema.org",
+        "@type": "BlogPosting",
+        headline: meta.title,
+        description: meta.description,
+        image: meta.image ? [meta.image] : undefined,
+        datePublished: meta.published.toISOString(),
+        dateModified: meta.modified.toISOString(),
+        author: { "@type": "Person", name: meta.author, url: meta.author_url },
+        mainEntityOfPage: { "@type": "WebPage", "@id": meta.url },
+        keywords: meta.tags.join(", ")
+    }
+
+    let tags = [
+        ["property", "og:type", "article"],
+        ["property", "og:site_name", "Pen n Pixel"],
+        ["property", "og:title", meta.title],
+        ["property", "og:description", meta.description],
+        ["property", "og:url", meta.url],
+        ["property", "og:image", meta.image],
+        ["property", "article:published_time", meta.published.toISOString()],
+        ["property", "article:modified_time", meta.modified.toISOString()],
+        ["property", "article:author", meta.author],
+        ...meta.tags.map(tag => ["property", "article:tag", tag]),
+        ["name", "twitter:card", meta.image ? "summary_large_image" : "summary"],
+        ["name", "twitter:title", meta.title],
+        ["name", "twitter:description", meta.description],
+        ["name", "twitter:image", meta.image],
+        ["name", "description", meta.description],
+        ["name", "author", meta.author]
+    ]
+    .filter(([, , content]) => content)
+    .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHTML(content)}">`)
+    .join("\n    ")
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHTML(meta.title)}</title>
+    <link rel="canonical" href="${escapeHTML(meta.url)}">
+    ${tags}
+    <script type="application/ld+json">${JSON.stringify(jsonLD).replace(/</g, "\\u003c")}</script>
+</head>
+<body>
+    <h1>${escapeHTML(meta.title)}</h1>
+    <p>${escapeHTML(meta.description)}</p>
+    <p><a href="${escapeHTML(meta.url)}">Read the full blog</a></p>
+</body>
+</html>`
+}
+
+module.exports = { sitemapLimit, buildUrlset, buildSitemapIndex, buildSharePage }
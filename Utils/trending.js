@@ -0,0 +1,14 @@
+let trendingWindows = { day: 1, week: 7, month: 30 }
+let trendingWeights = { reads: 1, likes: 3, comments: 5 }
+let trendingGravity = 1.5
+
+// Activity inside the window, divided by the post age in hours raised to trendingGravity.
+// Net likes and comments can be negative for a window, those count as 0.
+const trendingScore = (activity, publishedAt, now) => {
+    let points = Object.keys(trendingWeights).reduce((sum, field) => sum + Math.max(0, activity[field] || 0) * trendingWeights[field], 0)
+    let ageHours = Math.max(0, now - publishedAt) / (60 * 60 * 1000)
+
+    return points / Math.pow(ageHours + 2, trendingGravity)
+}
+
+module.exports = { trendingWindows, trendingScore }
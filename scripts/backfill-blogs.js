@@ -0,0 +1,32 @@
+// Recomputes the fields derived from `content.blocks` for every blog.
+// Run with `npm run backfill-blogs` after changing getBlogDerivedFields.
+const mongoose = require("mongoose")
+require('dotenv').config()
+
+const Blog = require("../Schema/Blog")
+const { getBlogDerivedFields } = require("../Utils/blocks")
+
+const backfill = async () => {
+    await mongoose.connect(process.env.DB_LOCATION, {
+        autoIndex: true
+    })
+
+    let updated = 0
+    let cursor = Blog.find({}).select("content").cursor()
+
+    for (let blog = await cursor.next(); blog != null; blog = await cursor.next()) {
+        await Blog.updateOne({ _id: blog._id }, getBlogDerivedFields(blog.content), { timestamps: false })
+        updated++
+    }
+
+    await Blog.createIndexes()
+
+    console.log(`Backfilled ${updated} blogs`);
+}
+
+backfill()
+.catch(err => {
+    console.log(err);
+    process.exitCode = 1
+})
+.finally(() => mongoose.disconnect())
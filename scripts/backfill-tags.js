@@ -0,0 +1,44 @@
+// Rebuilds tag post and follower counts from the blogs and users collections.
+// Run with `npm run backfill-tags` once, or whenever the counts drift.
+const mongoose = require("mongoose")
+require('dotenv').config()
+
+const Blog = require("../Schema/Blog")
+const User = require("../Schema/User")
+const Tag = require("../Schema/Tag")
+
+const countBy = async (Model, match, field) => {
+    let counts = await Model.aggregate([
+        { $match: match },
+        { $unwind: `$${field}` },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ])
+
+    return new Map(counts.map(({ _id, count }) => [_id, count]))
+}
+
+const backfill = async () => {
+    await mongoose.connect(process.env.DB_LOCATION, {
+        autoIndex: true
+    })
+
+    let postCounts = await countBy(Blog, { draft: false }, "tags")
+    let followerCounts = await countBy(User, { "followed_tags.0": { $exists: true } }, "followed_tags")
+
+    let names = new Set([...postCounts.keys(), ...followerCounts.keys()])
+
+    for (let name of names) {
+        await Tag.updateOne({ name }, { post_count: postCounts.get(name) || 0, follower_count: followerCounts.get(name) || 0 }, { upsert: true })
+    }
+
+    await Tag.updateMany({ name: { $nin: [...names] } }, { post_count: 0, follower_count: 0 })
+
+    console.log(`Backfilled ${names.size} tags`);
+}
+
+backfill()
+.catch(err => {
+    console.log(err);
+    process.exitCode = 1
+})
+.finally(() => mongoose.disconnect())
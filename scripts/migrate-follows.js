@@ -0,0 +1,64 @@
+// Copies the followers arrays stored on users into the follows collection and
+// recounts account_info.total_followers / total_following from it. Safe to run more than once.
+// The follow date comes from the "follow" notification when there is one, otherwise
+// the join date of the newer of the two accounts is used.
+const mongoose = require("mongoose")
+require('dotenv').config()
+
+const User = require("../Schema/User")
+const Notification = require("../Schema/Notification")
+const Follow = require("../Schema/Follow")
+
+const migrate = async () => {
+    await mongoose.connect(process.env.DB_LOCATION, {
+        autoIndex: true
+    })
+
+    await Follow.createIndexes()
+
+    let migrated = 0
+    let cursor = User.collection.find({ "followers.0": { $exists: true } }, { projection: { followers: 1, joinedAt: 1 } })
+
+    for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+        for (let follower of user.followers) {
+            let notif = await Notification.findOne({ type: "follow", notification_for: user._id, user: follower }).select("createdAt")
+            let followerUser = notif ? null : await User.findById(follower).select("joinedAt")
+
+            if (!notif && !followerUser) {
+                continue
+            }
+
+            let createdAt = notif ? notif.createdAt : new Date(Math.max(user.joinedAt || 0, followerUser.joinedAt || 0))
+
+            let result = await Follow.collection.updateOne(
+                { follower, following: user._id },
+                { $setOnInsert: { createdAt } },
+                { upsert: true }
+            )
+            migrated += result.upsertedCount
+        }
+    }
+
+    let [followers, following] = await Promise.all([
+        Follow.aggregate([{ $group: { _id: "$following", count: { $sum: 1 } } }]),
+        Follow.aggregate([{ $group: { _id: "$follower", count: { $sum: 1 } } }])
+    ])
+
+    await User.updateMany({}, { "account_info.total_followers": 0, "account_info.total_following": 0 }, { timestamps: false })
+
+    for (let { _id, count } of followers) {
+        await User.updateOne({ _id }, { "account_info.total_followers": count }, { timestamps: false })
+    }
+    for (let { _id, count } of following) {
+        await User.updateOne({ _id }, { "account_info.total_following": count }, { timestamps: false })
+    }
+
+    console.log(`Migrated ${migrated} follows, recounted ${followers.length} followed users`);
+}
+
+migrate()
+.catch(err => {
+    console.log(err);
+    process.exitCode = 1
+})
+.finally(() => mongoose.disconnect())
@@ -0,0 +1,47 @@
+// Copies likes out of the "like" notifications into the likes collection and
+// recounts activity.total_likes from it. Safe to run more than once.
+// Likes whose notification was never created (the author had like notifications
+// turned off) or was deleted cannot be recovered.
+const mongoose = require("mongoose")
+require('dotenv').config()
+
+const Blog = require("../Schema/Blog")
+const Notification = require("../Schema/Notification")
+const Like = require("../Schema/Like")
+
+const migrate = async () => {
+    await mongoose.connect(process.env.DB_LOCATION, {
+        autoIndex: true
+    })
+
+    await Like.createIndexes()
+
+    let migrated = 0
+    let cursor = Notification.find({ type: "like" }).select("user blog notification_for createdAt").cursor()
+
+    for (let notif = await cursor.next(); notif != null; notif = await cursor.next()) {
+        let result = await Like.collection.updateOne(
+            { user: notif.user, blog: notif.blog },
+            { $setOnInsert: { author: notif.notification_for, likedAt: notif.createdAt } },
+            { upsert: true }
+        )
+        migrated += result.upsertedCount
+    }
+
+    let counts = await Like.aggregate([{ $group: { _id: "$blog", count: { $sum: 1 } } }])
+
+    await Blog.updateMany({}, { "activity.total_likes": 0 }, { timestamps: false })
+
+    for (let { _id, count } of counts) {
+        await Blog.updateOne({ _id }, { "activity.total_likes": count }, { timestamps: false })
+    }
+
+    console.log(`Migrated ${migrated} likes, recounted likes on ${counts.length} blogs`);
+}
+
+migrate()
+.catch(err => {
+    console.log(err);
+    process.exitCode = 1
+})
+.finally(() => mongoose.disconnect())
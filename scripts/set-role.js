@@ -0,0 +1,29 @@
+// Gives a user a role from the command line, e.g. to create the first admin:
+// npm run set-role -- <username> admin
+const mongoose = require("mongoose")
+require('dotenv').config()
+
+const User = require("../Schema/User")
+
+const setRole = async (username, role) => {
+    if (!username || !["reader", "author", "moderator", "admin"].includes(role)) {
+        throw new Error("Usage: npm run set-role -- <username> <reader|author|moderator|admin>")
+    }
+
+    await mongoose.connect(process.env.DB_LOCATION)
+
+    let user = await User.findOneAndUpdate({ "personal_info.username": username }, { role })
+
+    if (!user) {
+        throw new Error(`User ${username} not found`)
+    }
+
+    console.log(`${username} is now ${role}`);
+}
+
+setRole(process.argv[2], process.argv[3])
+.catch(err => {
+    console.log(err.message);
+    process.exitCode = 1
+})
+.finally(() => mongoose.disconnect())
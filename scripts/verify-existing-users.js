@@ -0,0 +1,21 @@
+// Accounts created before email verification existed are treated as verified,
+// so they keep being able to publish and comment.
+const mongoose = require("mongoose")
+require('dotenv').config()
+
+const User = require("../Schema/User")
+
+const migrate = async () => {
+    await mongoose.connect(process.env.DB_LOCATION)
+
+    let result = await User.updateMany({ email_verified: { $exists: false } }, { email_verified: true }, { timestamps: false })
+
+    console.log(`Marked ${result.modifiedCount} users as verified`);
+}
+
+migrate()
+.catch(err => {
+    console.log(err);
+    process.exitCode = 1
+})
+.finally(() => mongoose.disconnect())
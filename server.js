@@ -2,6 +2,7 @@ const express = require("express")
 const mongoose = require("mongoose")
 const bcrypt = require("bcrypt")
 const jwt = require("jsonwebtoken")
+const crypto = require("crypto")
 const cors = require("cors")
 const admin = require("firebase-admin")
 const AWS = require("aws-sdk")
@@ -12,6 +13,32 @@ const User = require("./Schema/User")
 const Blog = require("./Schema/Blog")
 const Notification = require("./Schema/Notification")
 const Comment = require("./Schema/Comment")
+const ReadingList = require("./Schema/ReadingList")
+const Session = require("./Schema/Session")
+const PasswordReset = require("./Schema/PasswordReset")
+const Report = require("./Schema/Report")
+const Revision = require("./Schema/Revision")
+const Tag = require("./Schema/Tag")
+const Like = require("./Schema/Like")
+const Follow = require("./Schema/Follow")
+const Reaction = require("./Schema/Reaction")
+const Read = require("./Schema/Read")
+const BlogStat = require("./Schema/BlogStat")
+const ReferrerStat = require("./Schema/ReferrerStat")
+
+const { getBlocks, stripHTML, getBlogDerivedFields } = require("./Utils/blocks")
+const { diffBlocks } = require("./Utils/blockDiff")
+const { escapeRegex, escapeHTML, buildSnippet, extractTerms } = require("./Utils/search")
+const { sendMail } = require("./Utils/mailer")
+const notificationStream = require("./Utils/notificationStream")
+const { blocksToHTML, blocksToMarkdown } = require("./Utils/renderBlocks")
+const { feedFormats } = require("./Utils/feeds")
+const { sitemapLimit, buildUrlset, buildSitemapIndex, buildSharePage } = require("./Utils/sitemap")
+const { markdownToBlocks } = require("./Utils/markdownToBlocks")
+const { createCache } = require("./Utils/cache")
+const { extractMentions } = require("./Utils/mentions")
+const { getPageQuery, splitPage } = require("./Utils/cursor")
+const { trendingWindows, trendingScore } = require("./Utils/trending")
 
 const server = express()
 const PORT = process.env.PORT || 8000
@@ -27,6 +54,20 @@ admin.initializeApp({
 let emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
 let passwordRegex = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{6,20}$/;
 
+let accessTokenExpiry = process.env.ACCESS_TOKEN_EXPIRY || "15m"
+let refreshTokenLifetime = 30 * 24 * 60 * 60 * 1000
+let passwordResetLifetime = 60 * 60 * 1000
+let verificationEmailInterval = 2 * 60 * 1000
+let schedulerInterval = 60 * 1000
+let digestInterval = 60 * 60 * 1000
+let streamAuthInterval = 60 * 1000
+let readDedupWindow = 30 * 60 * 1000
+let dayLength = 24 * 60 * 60 * 1000
+let statsMaxDays = 366
+let trendingInterval = 10 * 60 * 1000
+let relatedCacheLifetime = 60 * 60 * 1000
+let searchMaxLimit = 50
+
 server.use(express.json())
 server.use(cors())
 
@@ -63,6 +104,35 @@ const generateUploadURL = async () => {
     })
 }
 
+const authenticateToken = (token) => {
+    return new Promise((resolve, reject) => {
+        jwt.verify(token, process.env.ACCESS_TOKEN, (err, payload) => {
+            if (err) {
+                if (err.name == "TokenExpiredError") {
+                    return reject({ status: 401, error: "Access token has expired", code: "token_expired" })
+                }
+                return reject({ status: 403, error: "Access token is invalid", code: "token_invalid" })
+            }
+            if (!payload.sid) {
+                return reject({ status: 403, error: "Access token is invalid", code: "token_invalid" })
+            }
+
+            Session.findOne({ _id: payload.sid, user: payload.id, revoked: false, expiresAt: { $gt: new Date() } })
+            .populate("user", "role suspended")
+            .then(session => {
+                if (!session || !session.user) {
+                    return reject({ status: 401, error: "Session has been revoked", code: "session_revoked" })
+                }
+                if (session.user.suspended) {
+                    return reject({ status: 403, error: "Your account has been suspended", code: "account_suspended" })
+                }
+                resolve({ user: payload.id, session_id: payload.sid, role: session.user.role })
+            })
+            .catch(err => reject({ status: 500, error: err.message }))
+        })
+    })
+}
+
 const verifyJWT = (req, res, next) => {
     const authHeader = req.headers['authorization']
     const token = authHeader && authHeader.split(" ")[1]
@@ -71,26 +141,122 @@ const verifyJWT = (req, res, next) => {
         return res.status(401).json({ error: "No access token" })
     }
 
-    jwt.verify(token, process.env.ACCESS_TOKEN, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: "Access token is invalid"})
-        }
-
-        req.user = user.id
+    authenticateToken(token)
+    .then(({ user, session_id, role }) => {
+        req.user = user
+        req.session_id = session_id
+        req.role = role
         next()
     })
+    .catch(({ status, error, code }) => {
+        return res.status(status).json({ error, code })
+    })
+}
+
+const decodeJWT = (req, res, next) => {
+    const authHeader = req.headers['authorization']
+    const token = authHeader && authHeader.split(" ")[1]
+
+    if (token == null) {
+        return next()
+    }
+
+    authenticateToken(token)
+    .then(({ user, session_id, role }) => {
+        req.user = user
+        req.session_id = session_id
+        req.role = role
+    })
+    .catch(() => {})
+    .finally(() => next())
+}
+
+const verifyRole = (...roles) => {
+    return (req, res, next) => {
+        if (!roles.includes(req.role)) {
+            return res.status(403).json({ error: "You don't have permission to do this" })
+        }
+        next()
+    }
+}
+
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+const generateRefreshToken = (session_id) => {
+    let secret = crypto.randomBytes(40).toString("hex")
+    return { refresh_token: `${session_id}.${secret}`, token_hash: hashToken(secret) }
+}
+
+const parseRefreshToken = (refresh_token) => {
+    let [session_id, secret] = String(refresh_token || "").split(".")
+
+    if (!session_id || !secret || !mongoose.isValidObjectId(session_id)) {
+        return null
+    }
+
+    return { session_id, token_hash: hashToken(secret) }
 }
 
-const formatDataToSend = (user) => {
-    const access_token = jwt.sign({ id: user._id }, process.env.ACCESS_TOKEN)
+const signAccessToken = (user_id, session_id) => {
+    return jwt.sign({ id: user_id, sid: session_id }, process.env.ACCESS_TOKEN, { expiresIn: accessTokenExpiry })
+}
+
+const createSession = async (user_id, req) => {
+    let session_id = new mongoose.Types.ObjectId()
+    let { refresh_token, token_hash } = generateRefreshToken(session_id)
+
+    await new Session({
+        _id: session_id,
+        user: user_id,
+        token_hash,
+        user_agent: req.headers['user-agent'] || "",
+        ip: req.ip || "",
+        expiresAt: new Date(Date.now() + refreshTokenLifetime)
+    }).save()
+
+    return { access_token: signAccessToken(user_id, session_id), refresh_token }
+}
+
+const formatDataToSend = async (user, req) => {
+    const { access_token, refresh_token } = await createSession(user._id, req)
     return {
         access_token,
+        refresh_token,
         profile_img: user.personal_info.profile_img,
         username: user.personal_info.username,
-        fullname: user.personal_info.fullname
+        fullname: user.personal_info.fullname,
+        email_verified: user.email_verified
     }
 }
 
+const sendVerificationEmail = (user) => {
+    let token = jwt.sign({ id: user._id, email: user.personal_info.email, purpose: "verify_email" }, process.env.ACCESS_TOKEN, { expiresIn: "1d" })
+
+    let verificationLink = `${process.env.CLIENT_URL}/verify-email/${token}`
+
+    return sendMail({
+        to: user.personal_info.email,
+        subject: "Verify your email",
+        text: `Hi ${user.personal_info.fullname},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${verificationLink}`,
+        html: `<p>Hi ${escapeHTML(user.personal_info.fullname)},</p><p>Please confirm your email address by opening the link below. It expires in 24 hours.</p><p><a href="${verificationLink}">Verify email</a></p>`
+    })
+}
+
+const requireVerifiedEmail = (req, res, next) => {
+    User.exists({ _id: req.user, email_verified: true })
+    .then(verified => {
+        if (!verified) {
+            return res.status(403).json({ error: "Please verify your email first", code: "email_not_verified" })
+        }
+        next()
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+}
+
 const generateUsername = async (email) => {
     let username = email.split("@")[0]
 
@@ -103,6 +269,27 @@ const generateUsername = async (email) => {
     return username
 }
 
+const findBlogsInOrder = (ids) => {
+    return Blog.find({ _id: { $in: ids }, draft: false })
+    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+    .select("blog_id title des banner activity tags publishedAt word_count reading_time")
+    .lean()
+    .then(blogs => {
+        return ids.map(id => blogs.find(blog => blog._id.toString() == id.toString()))
+        .filter(blog => blog)
+        .map(({ _id, ...blog }) => blog)
+    })
+}
+
+// Drops the ids of blogs that were unpublished or deleted, keeping the stored order
+const filterPublishedIds = (ids) => {
+    return Blog.distinct("_id", { _id: { $in: ids }, draft: false })
+    .then(published => {
+        published = new Set(published.map(id => id.toString()))
+        return ids.filter(id => published.has(id.toString()))
+    })
+}
+
 server.get("/api/get-upload-url", (req, res) => {
     generateUploadURL()
     .then(url => res.status(200).json({ uploadURL: url}))
@@ -138,16 +325,25 @@ server.post("/api/signup", (req, res) => {
                 email,
                 password: hashed_password,
                 username
-            }
+            },
+            email_verified: false,
+            verification_sent_at: new Date()
         })
 
         user.save().then((u) => {
-            return res.status(200).json(formatDataToSend(u))
+            sendVerificationEmail(u)
+            .catch(err => console.log(err.message))
+
+            return formatDataToSend(u, req)
+        })
+        .then(data => {
+            return res.status(200).json(data)
         })
         .catch(err => {
             if (err.code == 11000) {
                 return res.status(500).json({ "error": "Email already exist" })
             }
+            return res.status(500).json({ "error": err.message })
         })
     })
 })
@@ -160,6 +356,9 @@ server.post("/api/signin", (req, res) => {
         if (!user) {
             return res.status(403).json({ "error": "Email not found" })
         }
+        if (user.suspended) {
+            return res.status(403).json({ "error": "Your account has been suspended", "code": "account_suspended" })
+        }
 
         if (!user.google_auth) {
             bcrypt.compare(password, user.personal_info.password, (err, result) => {
@@ -169,7 +368,9 @@ server.post("/api/signin", (req, res) => {
                 if (!result) {
                     return res.status(403).json({ "error": "Incorrect password" })
                 } else {
-                    return res.status(200).json(formatDataToSend(user))
+                    formatDataToSend(user, req)
+                    .then(data => res.status(200).json(data))
+                    .catch(err => res.status(500).json({ "error": err.message }))
                 }
             })
         } else {
@@ -193,7 +394,7 @@ server.post("/api/google-auth", async (req, res) => {
 
         picture = picture.replace("s96-c", "s384-c")
 
-        let user = await User.findOne({"personal_info.email": email}).select("personal_info.fullname personal_info.username personal_info.profile_img google_auth")
+        let user = await User.findOne({"personal_info.email": email}).select("personal_info.fullname personal_info.username personal_info.profile_img google_auth email_verified suspended")
         .then((u) => {
             return u || null
         })
@@ -205,6 +406,9 @@ server.post("/api/google-auth", async (req, res) => {
             if (!user.google_auth) {
                 return res.status(403).json({ "error": "This email was signed up without google. Please sign in using email and password"})
             }
+            if (user.suspended) {
+                return res.status(403).json({ "error": "Your account has been suspended", "code": "account_suspended" })
+            }
         } else {
             let username = await generateUsername(email)
 
@@ -215,7 +419,8 @@ server.post("/api/google-auth", async (req, res) => {
                     profile_img: picture,
                     username
                 },
-                google_auth: true
+                google_auth: true,
+                email_verified: true
             })
 
             await user.save().then((u) => {
@@ -226,7 +431,7 @@ server.post("/api/google-auth", async (req, res) => {
             })
         }
 
-        return res.status(200).json(formatDataToSend(user))
+        return res.status(200).json(await formatDataToSend(user, req))
     })
     .catch(err => {
         return res.status(500).json({ "error": "Failed to authenticate you with google. Try with some other google account"})
@@ -262,8 +467,10 @@ server.post("/api/change-password", verifyJWT, (req, res) => {
                 User.findOneAndUpdate({ _id: user_id }, {
                     "personal_info.password": hashed_password
                 })
-                .then((u) => {
-                    return res.status(200).json({ status: "Password Changed" })
+                .then(async (u) => {
+                    await Session.updateMany({ user: user_id, revoked: false }, { revoked: true })
+
+                    return res.status(200).json({ status: "Password Changed", ...(await formatDataToSend(u, req)) })
                 })
                 .catch(err => {
                     return res.status(500).json({ error: "Some error occured while changing the password, please try again" })
@@ -278,634 +485,3563 @@ server.post("/api/change-password", verifyJWT, (req, res) => {
 
 })
 
-server.post("/api/latest-blog", (req, res) => {
+server.post("/api/verify-email", (req, res) => {
 
-    let maxLimit = 5
-    let { page } = req.body
-    
-    Blog.find({ draft: false })
-    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
-    .sort({ "publishedAt": -1 })
-    .select("blog_id title des banner activity tags publishedAt -_id")
-    .skip((page - 1) * maxLimit)
-    .limit(maxLimit)
-    .then(blogs => {
-        return res.status(200).json({ blogs })
-    })
-    .catch(err => {
-        return res.status(500).json({ error: err.message })
+    let { token } = req.body
+
+    jwt.verify(String(token || ""), process.env.ACCESS_TOKEN, (err, payload) => {
+        if (err) {
+            if (err.name == "TokenExpiredError") {
+                return res.status(403).json({ error: "Verification link has expired, please request a new one" })
+            }
+            return res.status(403).json({ error: "Verification link is invalid" })
+        }
+        if (payload.purpose != "verify_email") {
+            return res.status(403).json({ error: "Verification link is invalid" })
+        }
+
+        User.findOneAndUpdate({ _id: payload.id, "personal_info.email": payload.email }, { email_verified: true })
+        .then(user => {
+            if (!user) {
+                return res.status(403).json({ error: "Verification link is no longer valid" })
+            }
+            return res.status(200).json({ email_verified: true })
+        })
+        .catch(err => {
+            return res.status(500).json({ error: err.message })
+        })
     })
 })
 
-server.post("/api/all-latest-blogs-count", (req, res) => {
+server.post("/api/resend-verification", verifyJWT, (req, res) => {
 
-    Blog.countDocuments({ draft: false })
-    .then(count => {
-        return res.status(200).json({ totalDocs: count })
+    let user_id = req.user
+
+    User.findOne({ _id: user_id })
+    .select("personal_info.email personal_info.fullname email_verified verification_sent_at")
+    .then(async user => {
+        if (user.email_verified) {
+            return res.status(403).json({ error: "Your email is already verified" })
+        }
+
+        let throttledUser = await User.findOneAndUpdate({
+            _id: user_id,
+            $or: [{ verification_sent_at: null }, { verification_sent_at: { $lt: new Date(Date.now() - verificationEmailInterval) } }]
+        }, { verification_sent_at: new Date() })
+
+        if (!throttledUser) {
+            return res.status(429).json({ error: "A verification email was sent recently, please wait a few minutes before trying again" })
+        }
+
+        await sendVerificationEmail(user)
+
+        return res.status(200).json({ status: "Verification email sent" })
     })
     .catch(err => {
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.get("/api/trending-blog", (req, res) => {
+server.post("/api/forgot-password", (req, res) => {
 
-    Blog.find({ draft: false })
-    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
-    .sort({"activity.total_reads": -1, "activity.total_likes": -1, "publishedAt": -1})
-    .select("blog_id title publishedAt -_id")
-    .limit(5)
-    .then(blogs => {
-        return res.status(200).json({ blogs })
+    let { email } = req.body
+
+    if (!email || !emailRegex.test(email)) {
+        return res.status(403).json({ error: "Email is invalid" })
+    }
+
+    User.findOne({ "personal_info.email": email.toLowerCase() })
+    .select("personal_info.email personal_info.fullname google_auth")
+    .then(async user => {
+        if (user && user.google_auth) {
+            return res.status(403).json({ error: "Account was created using google. Please sign in with google, there is no password to reset" })
+        }
+
+        if (user) {
+            let token = crypto.randomBytes(32).toString("hex")
+
+            await PasswordReset.deleteMany({ user: user._id, used: false })
+
+            await new PasswordReset({
+                user: user._id,
+                token_hash: hashToken(token),
+                expiresAt: new Date(Date.now() + passwordResetLifetime)
+            }).save()
+
+            let resetLink = `${process.env.CLIENT_URL}/reset-password/${token}`
+
+            await sendMail({
+                to: user.personal_info.email,
+                subject: "Reset your password",
+                text: `Hi ${user.personal_info.fullname},\n\nUse the link below to reset your password. It expires in 1 hour and can only be used once.\n\n${resetLink}\n\nIf you did not ask for this, you can ignore this email.`,
+                html: `<p>Hi ${escapeHTML(user.personal_info.fullname)},</p><p>Use the link below to reset your password. It expires in 1 hour and can only be used once.</p><p><a href="${resetLink}">Reset password</a></p><p>If you did not ask for this, you can ignore this email.</p>`
+            })
+        }
+
+        return res.status(200).json({ status: "If an account exists for this email, a reset link has been sent" })
     })
     .catch(err => {
-        return res.status(500).json({ error: err.message })
+        console.log(err.message);
+        return res.status(500).json({ error: "Some error occured while sending the reset email, please try again" })
     })
 })
 
-server.post("/api/search-blog", (req, res) => {
+server.post("/api/reset-password", (req, res) => {
 
-    let { tag, page, query, author, limit, eliminate_blog } = req.body
-    let findQuery
-    let maxLimit = limit ? limit : 5
+    let { token, newPassword } = req.body
 
-    if (tag) {
-        findQuery = { tags: tag, draft: false, blog_id: { $ne: eliminate_blog } }
-    } else if (query) {
-        findQuery = { draft: false, title: new RegExp(query, 'i') }
-    } else if (author) {
-        findQuery = { author, draft: false }
+    if (!passwordRegex.test(newPassword)) {
+        return res.status(403).json({ error: "Password should be 6 to 20 characters long with a numeric, 1 lowercase, and 1 uppercase letters" })
     }
 
-    Blog.find(findQuery)
-    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
-    .sort({ "publishedAt": -1 })
-    .select("blog_id title des banner activity tags publishedAt -_id")
-    .skip((page - 1) * maxLimit)
-    .limit(maxLimit)
-    .then(blogs => {
-        return res.status(200).json({ blogs })
+    PasswordReset.findOneAndUpdate({ token_hash: hashToken(String(token || "")), used: false, expiresAt: { $gt: new Date() } }, { used: true })
+    .then(reset => {
+        if (!reset) {
+            return res.status(403).json({ error: "Reset link is invalid or has expired" })
+        }
+
+        bcrypt.hash(newPassword, 10, (err, hashed_password) => {
+
+            User.findOneAndUpdate({ _id: reset.user }, { "personal_info.password": hashed_password })
+            .then(async () => {
+                await Session.updateMany({ user: reset.user, revoked: false }, { revoked: true })
+
+                return res.status(200).json({ status: "Password Changed" })
+            })
+            .catch(err => {
+                return res.status(500).json({ error: "Some error occured while changing the password, please try again" })
+            })
+        })
     })
     .catch(err => {
         return res.status(500).json({ error: err.message })
     })
-
 })
 
-server.post("/api/search-blogs-count", (req, res) => {
-    let { tag, query, author } = req.body
+server.post("/api/refresh-token", (req, res) => {
 
-    let findQuery
+    let parsed = parseRefreshToken(req.body.refresh_token)
 
-    if (tag) {
-        findQuery = { tags: tag, draft: false }
-    } else if (query) {
-        findQuery = { draft: false, title: new RegExp(query, 'i') }
-    } else if (author) {
-        findQuery = { author, draft: false }
+    if (!parsed) {
+        return res.status(401).json({ error: "Refresh token is invalid" })
     }
 
-    Blog.countDocuments(findQuery)
-    .then(count => {
-        return res.status(200).json({ totalDocs: count })
+    let { session_id, token_hash } = parsed
+    let rotated = generateRefreshToken(session_id)
+
+    Session.findOneAndUpdate({ _id: session_id, token_hash, revoked: false, expiresAt: { $gt: new Date() } }, {
+        token_hash: rotated.token_hash,
+        previous_token_hash: token_hash,
+        last_used_at: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenLifetime)
+    })
+    .then(async session => {
+        if (!session) {
+            // The token this session was last rotated from being used again means it leaked, so the whole session goes
+            await Session.updateOne({ _id: session_id, previous_token_hash: token_hash }, { revoked: true })
+
+            return res.status(401).json({ error: "Refresh token is invalid" })
+        }
+
+        return res.status(200).json({
+            access_token: signAccessToken(session.user, session_id),
+            refresh_token: rotated.refresh_token
+        })
     })
     .catch(err => {
-        console.log(err.message);
-        return res.status(200).json({ error: err.message })
+        return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/search-users", (req, res) => {
+server.post("/api/logout", decodeJWT, (req, res) => {
 
-    let { query } = req.body
+    let parsed = parseRefreshToken(req.body.refresh_token)
 
-    User.find({ "personal_info.username": new RegExp(query, 'i') })
-    .limit(50)
-    .select("personal_info.fullname personal_info.username personal_info.profile_img -_id")
-    .then(users => {
-        return res.status(200).json({ users })
+    let findQuery
+
+    if (parsed) {
+        findQuery = { _id: parsed.session_id, token_hash: parsed.token_hash }
+    } else if (req.session_id) {
+        findQuery = { _id: req.session_id }
+    } else {
+        return res.status(401).json({ error: "No session to log out from" })
+    }
+
+    Session.updateOne(findQuery, { revoked: true })
+    .then(() => {
+        return res.status(200).json({ status: "Logged out" })
     })
     .catch(err => {
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/get-profile", (req, res) => {
+server.get("/api/sessions", verifyJWT, (req, res) => {
 
-    let { username } = req.body
+    let user_id = req.user
 
-    User.findOne({ "personal_info.username": username })
-    .select("-personal_info.password -updatedAt -blogs")
-    .then(user => {
-        return res.status(200).json(user)
+    Session.find({ user: user_id, revoked: false, expiresAt: { $gt: new Date() } })
+    .sort({ last_used_at: -1 })
+    .select("user_agent ip createdAt last_used_at")
+    .lean()
+    .then(sessions => {
+        sessions = sessions.map(session => ({ ...session, current: session._id.toString() == req.session_id }))
+        return res.status(200).json({ sessions })
     })
     .catch(err => {
-        console.log(err);
         return res.status(500).json({ error: err.message })
     })
-
 })
 
-server.post("/api/update-profile-img", verifyJWT, (req, res) => {
+server.post("/api/revoke-session", verifyJWT, (req, res) => {
 
-    let { url } = req.body
+    let user_id = req.user
 
-    User.findOneAndUpdate({ _id: req.user }, { "personal_info.profile_img": url })
-    .then(() => {
-        return res.status(200).json({ profile_img: url })
+    let { session_id } = req.body
+
+    Session.findOneAndUpdate({ _id: session_id, user: user_id }, { revoked: true })
+    .then(session => {
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" })
+        }
+        return res.status(200).json({ status: "Done" })
     })
     .catch(err => {
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/update-profile", verifyJWT, (req, res) => {
-    let { fullname, email, username, bio, social_links } = req.body
-
-    let bioLimit = 150
+// List routes take either `page` (or `skip`) from older clients or the `cursor` returned
+// as next_cursor by the previous page. `include_count` adds totalDocs to the response.
+const countIfRequested = (Model, findQuery, include_count) => {
+    return include_count ? Model.countDocuments(findQuery) : Promise.resolve(undefined)
+}
 
-    if (username.length < 3) {
-        return res.status(403).json({ error: "Username should be at least 3 letters long"})
-    }
-    if (bio.length > bioLimit) {
-        return res.status(403).json({ error: `Your bio should not be more than ${bioLimit} characters` })
-    }
+server.post("/api/latest-blog", (req, res) => {
 
-    let socialLinksArr = Object.keys(social_links)
+    let maxLimit = 5
+    let { page, cursor, include_count } = req.body
 
-    try {
-        
-        for (let i=0; i< socialLinksArr.length; i++) {
-            if (social_links[socialLinksArr[i]].length) {
-                let hostname = new URL(social_links[socialLinksArr[i]]).hostname
+    let findQuery = { draft: false }
+    let sortQuery = { "publishedAt": -1, blog_id: -1 }
 
-                if (!hostname.includes(`${socialLinksArr[i]}.com`) && socialLinksArr[i] != "website") {
-                    return res.status(403).json({ error: `${socialLinksArr[i]} link is invalid. You must enter full link.` })
-                }
-            }
-        }
+    let { pageQuery, skipDocs, error } = getPageQuery(findQuery, sortQuery, cursor, ((page || 1) - 1) * maxLimit)
 
-    } catch (err) {
-        return res.status(500).json({ error: "You must provide full social links with https:// included" })
+    if (error) {
+        return res.status(403).json({ error })
     }
 
-    let updateObj = {
-        "personal_info.username": username,
-        "personal_info.bio": bio,
-        "personal_info.fullname": fullname,
-        "personal_info.email": email,
-        social_links
-    }
+    Promise.all([
+        Blog.find(pageQuery)
+        .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+        .sort(sortQuery)
+        .select("blog_id title des banner activity tags publishedAt word_count reading_time -_id")
+        .skip(skipDocs)
+        .limit(maxLimit + 1),
+        countIfRequested(Blog, findQuery, include_count)
+    ])
+    .then(([blogs, totalDocs]) => {
+        let { docs, next_cursor } = splitPage(blogs, sortQuery, maxLimit, skipDocs)
 
-    User.findOneAndUpdate({ _id: req.user }, updateObj, {
-        runValidators: true
+        return res.status(200).json({ blogs: docs, next_cursor, totalDocs })
     })
-    .then(() => {
-        return res.status(200).json({ username })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/all-latest-blogs-count", (req, res) => {
+
+    Blog.countDocuments({ draft: false })
+    .then(count => {
+        return res.status(200).json({ totalDocs: count })
     })
     .catch(err => {
-        if (err.code == 11000) {
-            return res.status(409).json({ error: "Username is already existed" })
-        }
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/create-blog", verifyJWT, async (req, res) => {
+server.post("/api/following-feed", verifyJWT, (req, res) => {
 
-    const { nanoid } = (await import("nanoid"))
+    let user_id = req.user
 
-    let authorId = req.user
+    let maxLimit = 5
+    let { page } = req.body
 
-    let { title, banner, content, tags, des, draft, id } = req.body
+    Follow.distinct("following", { follower: user_id })
+    .then(following => {
+        return Blog.find({ author: { $in: following }, draft: false })
+        .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+        .sort({ "publishedAt": -1 })
+        .select("blog_id title des banner activity tags publishedAt word_count reading_time -_id")
+        .skip((page - 1) * maxLimit)
+        .limit(maxLimit)
+    })
+    .then(blogs => {
+        return res.status(200).json({ blogs })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
 
-    if (!title.length) {
-        return res.status(403).json({ error: "You must provide a title to publish the blog"} )
-    }
+server.post("/api/following-feed-count", verifyJWT, (req, res) => {
 
-    if (!draft) {
-        if (!des.length || des.length > 200) {
-            return res.status(403).json({ error: "You must provide blog description under 200 characters"} )
+    let user_id = req.user
+
+    Follow.distinct("following", { follower: user_id })
+    .then(following => {
+        return Blog.countDocuments({ author: { $in: following }, draft: false })
+    })
+    .then(count => {
+        return res.status(200).json({ totalDocs: count })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const updateTrendingScores = async () => {
+    let now = new Date()
+
+    for (let [window, days] of Object.entries(trendingWindows)) {
+        let field = `trending.${window}`
+
+        let activity = await BlogStat.aggregate([
+            { $match: { day: { $gte: startOfDay(new Date(now.getTime() - days * dayLength)) } } },
+            { $group: { _id: "$blog", reads: { $sum: "$reads" }, likes: { $sum: "$likes" }, comments: { $sum: "$comments" } } }
+        ])
+
+        let blogs = await Blog.find({ _id: { $in: activity.map(item => item._id) }, draft: false })
+        .select("publishedAt")
+
+        let publishedAt = new Map(blogs.map(blog => [String(blog._id), blog.publishedAt]))
+
+        let operations = activity
+        .filter(item => publishedAt.has(String(item._id)))
+        .map(item => ({
+            updateOne: {
+                filter: { _id: item._id },
+                update: { $set: { [field]: trendingScore(item, publishedAt.get(String(item._id)), now) } },
+                timestamps: false
+            }
+        }))
+
+        if (operations.length) {
+            await Blog.bulkWrite(operations)
+        }
+
+        // Posts that had no activity inside the window drop out of it
+        await Blog.updateMany(
+            { _id: { $nin: blogs.map(blog => blog._id) }, [field]: { $gt: 0 } },
+            { $set: { [field]: 0 } },
+            { timestamps: false }
+        )
+    }
+}
+
+server.get("/api/trending-blog", (req, res) => {
+
+    let { window = "week", tag } = req.query
+
+    if (!trendingWindows[window]) {
+        return res.status(403).json({ error: "Window must be day, week or month" })
+    }
+
+    normalizeTags(tag ? [String(tag)] : [])
+    .then(([name]) => {
+        let findQuery = { draft: false }
+
+        if (tag) {
+            findQuery.tags = name || ""
+        }
+
+        return Blog.find(findQuery)
+        .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+        .sort({ [`trending.${window}`]: -1, "publishedAt": -1 })
+        .select("blog_id title publishedAt -_id")
+        .limit(5)
+    })
+    .then(blogs => {
+        return res.status(200).json({ blogs })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const buildSearchQuery = async ({ tag, query, author, from, to, min_reading_time, max_reading_time, eliminate_blog }) => {
+    let findQuery = { draft: false }
+
+    // Values from the JSON body can be arrays or objects, which would end up as query operators
+    if (tag && typeof tag != "string" && !(Array.isArray(tag) && tag.every(t => typeof t == "string"))) {
+        return { error: "Tag must be a string or a list of strings" }
+    }
+    if ([query, author, eliminate_blog].some(value => value && typeof value != "string")) {
+        return { error: "Search values must be strings" }
+    }
+
+    if (tag) {
+        findQuery.tags = { $all: await normalizeTags(Array.isArray(tag) ? tag : [tag]) }
+    }
+    if (query && query.trim().length) {
+        findQuery.$text = { $search: query.trim() }
+    }
+    if (author) {
+        findQuery.author = author
+    }
+    if (from || to) {
+        findQuery.publishedAt = {}
+
+        if (from) {
+            findQuery.publishedAt.$gte = new Date(from)
+        }
+        if (to) {
+            findQuery.publishedAt.$lte = new Date(to)
+        }
+        if (Object.values(findQuery.publishedAt).some(date => isNaN(date))) {
+            return { error: "Date range is invalid" }
+        }
+    }
+    if (min_reading_time != undefined || max_reading_time != undefined) {
+        findQuery.reading_time = {}
+
+        if (min_reading_time != undefined) {
+            findQuery.reading_time.$gte = Number(min_reading_time)
+        }
+        if (max_reading_time != undefined) {
+            findQuery.reading_time.$lte = Number(max_reading_time)
+        }
+        if (Object.values(findQuery.reading_time).some(minutes => isNaN(minutes))) {
+            return { error: "Reading time range is invalid" }
+        }
+    }
+    if (eliminate_blog) {
+        findQuery.blog_id = { $ne: eliminate_blog }
+    }
+
+    return { findQuery }
+}
+
+server.post("/api/search-blog", (req, res) => {
+
+    let { page, query, limit, cursor, include_count } = req.body
+    let maxLimit = limit ? Number(limit) : 5
+
+    if (!Number.isInteger(maxLimit) || maxLimit < 1 || maxLimit > searchMaxLimit) {
+        return res.status(403).json({ error: `Limit must be between 1 and ${searchMaxLimit}` })
+    }
+
+    buildSearchQuery(req.body)
+    .then(({ findQuery, error }) => {
+        if (error) {
+            return res.status(403).json({ error })
+        }
+
+        let projection = { blog_id: 1, title: 1, des: 1, banner: 1, activity: 1, tags: 1, publishedAt: 1, word_count: 1, reading_time: 1, _id: 0 }
+        let sortQuery = { "publishedAt": -1, blog_id: -1 }
+
+        if (findQuery.$text) {
+            projection.search_text = 1
+            projection.score = { $meta: "textScore" }
+            sortQuery = { score: { $meta: "textScore" }, "publishedAt": -1, blog_id: -1 }
+        }
+
+        let pagination = getPageQuery(findQuery, sortQuery, cursor, ((page || 1) - 1) * maxLimit)
+
+        if (pagination.error) {
+            return res.status(403).json({ error: pagination.error })
+        }
+
+        let { pageQuery, skipDocs } = pagination
+
+        return Promise.all([
+            Blog.find(pageQuery)
+            .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+            .sort(sortQuery)
+            .select(projection)
+            .skip(skipDocs)
+            .limit(maxLimit + 1)
+            .lean(),
+            countIfRequested(Blog, findQuery, include_count)
+        ])
+        .then(([blogs, totalDocs]) => {
+            let { docs, next_cursor } = splitPage(blogs, sortQuery, maxLimit, skipDocs)
+
+            blogs = docs
+
+            if (findQuery.$text) {
+                blogs = blogs.map(({ search_text, score, ...blog }) => ({
+                    ...blog,
+                    snippet: buildSnippet(`${blog.des || ""} ${search_text || ""}`.trim(), query)
+                }))
+            }
+            return res.status(200).json({ blogs, next_cursor, totalDocs })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+
+})
+
+server.post("/api/search-blogs-count", (req, res) => {
+
+    buildSearchQuery(req.body)
+    .then(({ findQuery, error }) => {
+        if (error) {
+            return res.status(403).json({ error })
+        }
+
+        return Blog.countDocuments(findQuery)
+        .then(count => {
+            return res.status(200).json({ totalDocs: count })
+        })
+    })
+    .catch(err => {
+        console.log(err.message);
+        return res.status(200).json({ error: err.message })
+    })
+})
+
+const relatedCache = createCache({ ttl: relatedCacheLifetime })
+
+let relatedWeights = { tags: 4, terms: 3, author: 1, recency: 1 }
+let relatedCandidateLimit = 100
+
+const scoreRelatedBlogs = async (blog) => {
+    let terms = extractTerms(`${blog.title} ${blog.title} ${blog.des || ""} ${blog.search_text || ""}`)
+    let excluded = { draft: false, _id: { $ne: blog._id } }
+    let select = "tags author publishedAt"
+
+    let [tagged, matching] = await Promise.all([
+        Blog.find({ ...excluded, $or: [{ tags: { $in: blog.tags } }, { author: blog.author }] })
+        .sort({ publishedAt: -1 })
+        .limit(relatedCandidateLimit)
+        .select(select)
+        .lean(),
+        terms.length ? Blog.find({ ...excluded, $text: { $search: terms.join(" ") } }, { score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" } })
+        .limit(relatedCandidateLimit)
+        .select(select)
+        .lean() : []
+    ])
+
+    let maxTextScore = Math.max(0, ...matching.map(candidate => candidate.score))
+    let candidates = new Map([...tagged, ...matching].map(candidate => [String(candidate._id), candidate]))
+    let textScores = new Map(matching.map(candidate => [String(candidate._id), candidate.score / maxTextScore]))
+
+    return [...candidates.entries()].map(([id, candidate]) => {
+        let sharedTags = candidate.tags.filter(tag => blog.tags.includes(tag)).length
+        let allTags = new Set([...candidate.tags, ...blog.tags]).size
+        let ageDays = (Date.now() - candidate.publishedAt) / dayLength
+
+        let score = relatedWeights.tags * (allTags ? sharedTags / allTags : 0)
+            + relatedWeights.terms * (textScores.get(id) || 0)
+            + relatedWeights.author * (String(candidate.author) == String(blog.author) ? 1 : 0)
+            + relatedWeights.recency / (1 + Math.max(0, ageDays) / 30)
+
+        return { _id: candidate._id, score }
+    })
+    .sort((a, b) => b.score - a.score)
+}
+
+server.post("/api/related-blogs", (req, res) => {
+
+    let { blog_id, limit = 4 } = req.body
+
+    limit = Number(limit)
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 10) {
+        return res.status(403).json({ error: "Limit must be between 1 and 10" })
+    }
+
+    let cacheKey = `${blog_id}:${limit}`
+    let cached = relatedCache.get(cacheKey)
+
+    if (cached) {
+        return res.status(200).json({ blogs: cached })
+    }
+
+    Blog.findOne({ blog_id, draft: false })
+    .select("title des tags author search_text")
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        let scored = await scoreRelatedBlogs(blog)
+        let blogs = await findBlogsInOrder(scored.slice(0, limit).map(candidate => candidate._id))
+
+        relatedCache.set(cacheKey, blogs)
+
+        return res.status(200).json({ blogs })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/search-users", (req, res) => {
+
+    let { query } = req.body
+
+    User.find({ "personal_info.username": new RegExp(escapeRegex(query), 'i') })
+    .limit(50)
+    .select("personal_info.fullname personal_info.username personal_info.profile_img -_id")
+    .then(users => {
+        return res.status(200).json({ users })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/get-profile", (req, res) => {
+
+    let { username } = req.body
+
+    User.findOne({ "personal_info.username": username })
+    .select("-personal_info.password -updatedAt -blogs -bookmarks -followed_tags -notification_preferences -digest")
+    .then(user => {
+        return res.status(200).json(user)
+    })
+    .catch(err => {
+        console.log(err);
+        return res.status(500).json({ error: err.message })
+    })
+
+})
+
+let notificationPopulate = [
+    { path: "blog", select: "title blog_id" },
+    { path: "user", select: "personal_info.fullname personal_info.username personal_info.profile_img" },
+    { path: "comment", select: "comment" },
+    { path: "replied_on_comment", select: "comment" },
+    { path: "reply", select: "comment" },
+    { path: "report", select: "target_type preview reason status" }
+]
+
+const pushUnreadCount = (user_id) => {
+    if (!user_id || !notificationStream.hasClients(user_id)) {
+        return
+    }
+
+    Notification.countDocuments({ notification_for: user_id, seen: false, user: { $ne: user_id }, in_app: { $ne: false } })
+    .then(count => notificationStream.publish(user_id, "unread_count", { count }))
+    .catch(err => console.log(err.message))
+}
+
+let notificationPreferenceTypes = ["like", "comment", "reply", "follow", "reaction", "mention"]
+
+const describeNotification = (notification) => {
+    let actor = notification.user ? notification.user.personal_info.fullname : "Someone"
+    let title = notification.blog ? `"${notification.blog.title}"` : "your blog"
+
+    switch (notification.type) {
+        case "like":
+            return `${actor} liked ${title}`
+        case "comment":
+            return `${actor} commented on ${title}: ${notification.comment ? notification.comment.comment : ""}`
+        case "reply":
+            return `${actor} replied to your comment on ${title}: ${notification.comment ? notification.comment.comment : ""}`
+        case "follow":
+            return `${actor} started following you`
+        case "mention":
+            return `${actor} mentioned you in a comment on ${title}: ${notification.comment ? notification.comment.comment : ""}`
+        case "reaction":
+            return `${actor} reacted ${reactionEmojis[notification.reaction] || ""} to ${notification.comment ? `your comment on ${title}` : title}`
+        default:
+            return `You have a new notification from ${actor}`
+    }
+}
+
+// Unsubscribe links live in inboxes for a long time, so they get their own key instead of
+// the access token secret, and expire well after the email that carried them
+let unsubscribeLinkLifetime = "90d"
+
+const getUnsubscribeSecret = () => {
+    return process.env.UNSUBSCRIBE_SECRET || crypto.createHmac("sha256", process.env.ACCESS_TOKEN).update("unsubscribe").digest("hex")
+}
+
+const getUnsubscribeLink = (user_id) => {
+    let token = jwt.sign({ id: user_id, purpose: "unsubscribe" }, getUnsubscribeSecret(), { expiresIn: unsubscribeLinkLifetime })
+    return `${process.env.SERVER_URL}/api/unsubscribe?token=${token}`
+}
+
+const sendNotificationEmail = (user, subject, notifications) => {
+    let unsubscribeLink = getUnsubscribeLink(user._id)
+    let lines = notifications.map(describeNotification)
+
+    return sendMail({
+        to: user.personal_info.email,
+        subject,
+        text: `Hi ${user.personal_info.fullname},\n\n${lines.map(line => `- ${line}`).join("\n")}\n\nSee everything at ${process.env.CLIENT_URL}/dashboard/notifications\n\nUnsubscribe from these emails: ${unsubscribeLink}`,
+        html: `<p>Hi ${escapeHTML(user.personal_info.fullname)},</p><ul>${lines.map(line => `<li>${escapeHTML(line)}</li>`).join("")}</ul><p><a href="${process.env.CLIENT_URL}/dashboard/notifications">See all notifications</a></p><p><a href="${unsubscribeLink}">Unsubscribe from these emails</a></p>`,
+        headers: {
+            "List-Unsubscribe": `<${unsubscribeLink}>`,
+            "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+        }
+    })
+}
+
+// Every notification goes through here so the receiver's preferences are applied
+// and connected clients get it pushed straight away
+const createNotification = async (notificationObj) => {
+    let receiver = await User.findOne({ _id: notificationObj.notification_for })
+    .select("notification_preferences email_verified personal_info.email personal_info.fullname")
+
+    let preference = { in_app: true, email: "off" }
+
+    if (receiver && notificationPreferenceTypes.includes(notificationObj.type)) {
+        preference = receiver.notification_preferences[notificationObj.type]
+    }
+
+    if (!preference.in_app && preference.email == "off") {
+        return null
+    }
+
+    // Own actions stay in the notification list but are never emailed
+    let isOwnAction = String(notificationObj.notification_for) == String(notificationObj.user)
+
+    let notification = await new Notification({
+        ...notificationObj,
+        in_app: preference.in_app,
+        email_digest: !isOwnAction && ["daily", "weekly"].includes(preference.email) ? preference.email : null
+    }).save()
+
+    let { notification_for } = notification
+
+    if (isOwnAction || (!notification.in_app && preference.email != "immediate")) {
+        return notification
+    }
+
+    Notification.findOne({ _id: notification._id })
+    .populate(notificationPopulate)
+    .select("createdAt type seen reply reaction")
+    .then(populated => {
+        if (notification.in_app && notificationStream.hasClients(notification_for)) {
+            notificationStream.publish(notification_for, "notification", populated, populated._id)
+            pushUnreadCount(notification_for)
+        }
+
+        if (preference.email == "immediate" && receiver.email_verified) {
+            return sendNotificationEmail(receiver, describeNotification(populated), [populated])
+            .then(() => Notification.updateOne({ _id: notification._id }, { emailed: true }))
+        }
+    })
+    .catch(err => console.log(err.message))
+
+    return notification
+}
+
+const sendNotificationDigests = async (period) => {
+    let periodLength = (period == "weekly" ? 7 : 1) * 24 * 60 * 60 * 1000
+    let sentAtPath = `digest.${period}_sent_at`
+
+    let pending = await Notification.aggregate([
+        { $match: { email_digest: period, emailed: false, seen: false } },
+        { $group: { _id: "$notification_for", ids: { $push: "$_id" } } }
+    ])
+
+    for (let { _id, ids } of pending) {
+        // Claiming the period first means a crash can skip one digest but never sends two
+        let user = await User.findOneAndUpdate({
+            _id,
+            email_verified: true,
+            $or: [{ [sentAtPath]: null }, { [sentAtPath]: { $lt: new Date(Date.now() - periodLength) } }]
+        }, { [sentAtPath]: new Date() })
+        .select("personal_info.email personal_info.fullname")
+
+        if (!user) {
+            continue
+        }
+
+        let notifications = await Notification.find({ _id: { $in: ids } })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .populate(notificationPopulate)
+
+        await sendNotificationEmail(user, `Your ${period} summary: ${ids.length} new notification${ids.length > 1 ? "s" : ""}`, notifications)
+
+        await Notification.updateMany({ _id: { $in: ids } }, { emailed: true })
+    }
+}
+
+server.get("/api/notification-preferences", verifyJWT, (req, res) => {
+
+    User.findOne({ _id: req.user })
+    .select("notification_preferences")
+    .then(user => {
+        return res.status(200).json({ preferences: user.notification_preferences })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/update-notification-preferences", verifyJWT, (req, res) => {
+
+    let { preferences } = req.body
+
+    let updateObj = {}
+
+    for (let type of Object.keys(preferences || {})) {
+        if (!notificationPreferenceTypes.includes(type)) {
+            return res.status(403).json({ error: `${type} is not a notification type` })
+        }
+
+        let { in_app, email } = preferences[type]
+
+        if (in_app != undefined) {
+            updateObj[`notification_preferences.${type}.in_app`] = Boolean(in_app)
+        }
+        if (email != undefined) {
+            if (!["immediate", "daily", "weekly", "off"].includes(email)) {
+                return res.status(403).json({ error: "Email preference must be immediate, daily, weekly or off" })
+            }
+            updateObj[`notification_preferences.${type}.email`] = email
+        }
+    }
+
+    User.findOneAndUpdate({ _id: req.user }, updateObj, { new: true })
+    .select("notification_preferences")
+    .then(user => {
+        return res.status(200).json({ preferences: user.notification_preferences })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const verifyUnsubscribeToken = (token) => {
+    return new Promise((resolve, reject) => {
+        jwt.verify(String(token || ""), getUnsubscribeSecret(), (err, payload) => {
+            if (err || payload.purpose != "unsubscribe") {
+                return reject(err)
+            }
+            resolve(payload)
+        })
+    })
+}
+
+// Opening the link only asks for confirmation, mail scanners and link prefetchers
+// follow GET links and must not unsubscribe anyone
+server.get("/api/unsubscribe", (req, res) => {
+
+    verifyUnsubscribeToken(req.query.token)
+    .then(() => {
+        let action = `/api/unsubscribe?token=${encodeURIComponent(req.query.token)}`
+
+        return res.status(200).send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Unsubscribe</title></head><body><p>Stop all notification emails?</p><form method="POST" action="${escapeHTML(action)}"><button type="submit">Unsubscribe</button></form></body></html>`)
+    })
+    .catch(() => {
+        return res.status(403).send("This unsubscribe link is invalid or has expired.")
+    })
+})
+
+// The confirmation form and one-click unsubscribe from mail clients (RFC 8058) both POST here
+server.post("/api/unsubscribe", (req, res) => {
+
+    verifyUnsubscribeToken(req.query.token)
+    .catch(() => null)
+    .then(payload => {
+        if (!payload) {
+            return res.status(403).send("This unsubscribe link is invalid or has expired.")
+        }
+
+        let updateObj = {}
+        notificationPreferenceTypes.forEach(type => updateObj[`notification_preferences.${type}.email`] = "off")
+
+        User.updateOne({ _id: payload.id }, updateObj)
+        .then(() => {
+            return res.status(200).send("You have been unsubscribed from all notification emails.")
+        })
+        .catch(err => {
+            return res.status(500).send("Some error occured while unsubscribing, please try again.")
+        })
+    })
+})
+
+server.post("/api/follow-user", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { username } = req.body
+
+    User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(async target => {
+        if (!target) {
+            return res.status(404).json({ error: "User not found" })
+        }
+        if (target._id == user_id) {
+            return res.status(403).json({ error: "You cannot follow yourself" })
+        }
+
+        let result
+
+        try {
+            result = await Follow.updateOne({ follower: user_id, following: target._id }, { $setOnInsert: { createdAt: new Date() } }, { upsert: true })
+        } catch (err) {
+            // A concurrent request inserted the same follow first
+            if (err.code != 11000) {
+                throw err
+            }
+            result = { upsertedCount: 0 }
+        }
+
+        if (result.upsertedCount) {
+            await User.updateOne({ _id: target._id }, { $inc: { "account_info.total_followers": 1 } })
+            await User.updateOne({ _id: user_id }, { $inc: { "account_info.total_following": 1 } })
+
+            createNotification({
+                type: "follow",
+                notification_for: target._id,
+                user: user_id
+            }).then(notif => console.log('New notification'))
+        }
+
+        return res.status(200).json({ followed_by_user: true })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/unfollow-user", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { username } = req.body
+
+    User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(async target => {
+        if (!target) {
+            return res.status(404).json({ error: "User not found" })
+        }
+
+        let follow = await Follow.findOneAndDelete({ follower: user_id, following: target._id })
+
+        if (follow) {
+            await User.updateOne({ _id: target._id, "account_info.total_followers": { $gt: 0 } }, { $inc: { "account_info.total_followers": -1 } })
+            await User.updateOne({ _id: user_id, "account_info.total_following": { $gt: 0 } }, { $inc: { "account_info.total_following": -1 } })
+
+            Notification.findOneAndDelete({ type: "follow", notification_for: target._id, user: user_id })
+            .then(notif => pushUnreadCount(target._id))
+        }
+
+        return res.status(200).json({ followed_by_user: false })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/isFollowed-by-user", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { username } = req.body
+
+    User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(target => {
+        return target && Follow.exists({ follower: user_id, following: target._id })
+    })
+    .then(result => {
+        return res.status(200).json({ result: Boolean(result) })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/get-followers", (req, res) => {
+
+    let { username, page, type } = req.body
+
+    let maxLimit = 20
+    // followers are the users following this user, following the users this user follows
+    let [matchField, userField] = type == "following" ? ["follower", "following"] : ["following", "follower"]
+
+    User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(user => {
+        if (!user) {
+            return res.status(404).json({ error: "User not found" })
+        }
+
+        return Follow.find({ [matchField]: user._id })
+        .populate(userField, "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(((page || 1) - 1) * maxLimit)
+        .limit(maxLimit)
+        .select(`${userField} -_id`)
+        .then(follows => {
+            let users = follows.filter(follow => follow[userField]).map(follow => follow[userField])
+
+            return res.status(200).json({ users })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/update-profile-img", verifyJWT, (req, res) => {
+
+    let { url } = req.body
+
+    User.findOneAndUpdate({ _id: req.user }, { "personal_info.profile_img": url })
+    .then(() => {
+        return res.status(200).json({ profile_img: url })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/update-profile", verifyJWT, (req, res) => {
+    let { fullname, email, username, bio, social_links } = req.body
+
+    let bioLimit = 150
+
+    if (username.length < 3) {
+        return res.status(403).json({ error: "Username should be at least 3 letters long"})
+    }
+    if (bio.length > bioLimit) {
+        return res.status(403).json({ error: `Your bio should not be more than ${bioLimit} characters` })
+    }
+
+    let socialLinksArr = Object.keys(social_links)
+
+    try {
+        
+        for (let i=0; i< socialLinksArr.length; i++) {
+            if (social_links[socialLinksArr[i]].length) {
+                let hostname = new URL(social_links[socialLinksArr[i]]).hostname
+
+                if (!hostname.includes(`${socialLinksArr[i]}.com`) && socialLinksArr[i] != "website") {
+                    return res.status(403).json({ error: `${socialLinksArr[i]} link is invalid. You must enter full link.` })
+                }
+            }
+        }
+
+    } catch (err) {
+        return res.status(500).json({ error: "You must provide full social links with https:// included" })
+    }
+
+    if (email && !emailRegex.test(email)) {
+        return res.status(403).json({ error: "Email is invalid" })
+    }
+
+    let updateObj = {
+        "personal_info.username": username,
+        "personal_info.bio": bio,
+        "personal_info.fullname": fullname,
+        "personal_info.email": email,
+        social_links
+    }
+
+    User.findOne({ _id: req.user })
+    .select("personal_info.email")
+    .then(user => {
+        let emailChanged = email && email.toLowerCase() != user.personal_info.email
+
+        if (emailChanged) {
+            updateObj.email_verified = false
+            updateObj.verification_sent_at = new Date()
+        }
+
+        return User.findOneAndUpdate({ _id: req.user }, updateObj, {
+            runValidators: true,
+            new: true
+        })
+        .then((u) => {
+            if (emailChanged) {
+                sendVerificationEmail(u)
+                .catch(err => console.log(err.message))
+            }
+
+            return res.status(200).json({ username, email_verified: u.email_verified })
+        })
+    })
+    .catch(err => {
+        if (err.code == 11000) {
+            return res.status(409).json({ error: "Username is already existed" })
+        }
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const cleanTagName = (tag) => String(tag || "").toLowerCase().trim()
+
+// Lowercases, drops duplicates and replaces aliases with the tag they were merged into
+const normalizeTags = async (tags) => {
+    let names = [...new Set((tags || []).map(cleanTagName).filter(tag => tag.length))]
+
+    let aliases = await Tag.find({ name: { $in: names }, alias_of: { $ne: null } }).select("name alias_of")
+    let canonical = new Map(aliases.map(tag => [tag.name, tag.alias_of]))
+
+    return [...new Set(names.map(name => canonical.get(name) || name))]
+}
+
+const publishedTags = (blog) => blog && !blog.draft ? [...new Set(blog.tags || [])] : []
+
+// Tag post counts only include published blogs
+const adjustTagCounts = (oldTags, newTags) => {
+    let added = newTags.filter(tag => !oldTags.includes(tag))
+    let removed = oldTags.filter(tag => !newTags.includes(tag))
+
+    return Promise.all([
+        ...added.map(name => Tag.updateOne({ name }, { $inc: { post_count: 1 } }, { upsert: true })),
+        ...removed.map(name => Tag.updateOne({ name, post_count: { $gt: 0 } }, { $inc: { post_count: -1 } }))
+    ])
+}
+
+const resolveTag = async (tag) => {
+    let found = await Tag.findOne({ name: cleanTagName(tag) })
+
+    if (found && found.alias_of) {
+        found = await Tag.findOne({ name: found.alias_of })
+    }
+    return found
+}
+
+server.get("/api/popular-tags", (req, res) => {
+
+    let limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50)
+
+    Tag.find({ alias_of: null, post_count: { $gt: 0 } })
+    .sort({ post_count: -1, name: 1 })
+    .limit(limit)
+    .select("name description post_count follower_count -_id")
+    .then(tags => {
+        return res.status(200).json({ tags })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.get("/api/tag-autocomplete", (req, res) => {
+
+    let query = cleanTagName(req.query.query)
+
+    if (!query.length) {
+        return res.status(200).json({ tags: [] })
+    }
+
+    Tag.find({ name: new RegExp("^" + escapeRegex(query)) })
+    .sort({ post_count: -1, name: 1 })
+    .limit(20)
+    .select("name alias_of -_id")
+    .then(tags => {
+        // An alias suggests the tag it was merged into
+        let names = [...new Set(tags.map(tag => tag.alias_of || tag.name))].slice(0, 10)
+
+        return res.status(200).json({ tags: names })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/get-tag", decodeJWT, (req, res) => {
+
+    let { tag } = req.body
+
+    resolveTag(tag)
+    .then(async found => {
+        if (!found) {
+            return res.status(404).json({ error: "Tag not found" })
+        }
+
+        let { name, description, post_count, follower_count } = found
+        let followed_by_user = req.user ? Boolean(await User.exists({ _id: req.user, followed_tags: name })) : false
+
+        return res.status(200).json({ tag: { name, description, post_count, follower_count }, followed_by_user })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/follow-tag", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { tag } = req.body
+
+    resolveTag(tag)
+    .then(async found => {
+        if (!found) {
+            return res.status(404).json({ error: "Tag not found" })
+        }
+
+        let result = await User.updateOne({ _id: user_id, followed_tags: { $ne: found.name } }, { $push: { followed_tags: found.name } })
+
+        if (result.modifiedCount) {
+            await Tag.updateOne({ _id: found._id }, { $inc: { follower_count: 1 } })
+        }
+
+        return res.status(200).json({ tag: found.name, followed_by_user: true })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/unfollow-tag", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let name = cleanTagName(req.body.tag)
+
+    User.updateOne({ _id: user_id, followed_tags: name }, { $pull: { followed_tags: name } })
+    .then(async result => {
+        if (result.modifiedCount) {
+            await Tag.updateOne({ name, follower_count: { $gt: 0 } }, { $inc: { follower_count: -1 } })
+        }
+
+        return res.status(200).json({ tag: name, followed_by_user: false })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/followed-tags", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    User.findOne({ _id: user_id })
+    .select("followed_tags")
+    .then(async user => {
+        let tags = await Tag.find({ name: { $in: user.followed_tags } })
+        .select("name description post_count follower_count -_id")
+
+        return res.status(200).json({ tags: user.followed_tags.map(name => tags.find(tag => tag.name == name) || { name }) })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const validateBlog = ({ title, des, banner, content, tags, draft }) => {
+    if (!title || !title.length) {
+        return "You must provide a title to publish the blog"
+    }
+
+    if (!draft) {
+        if (!des || !des.length || des.length > 200) {
+            return "You must provide blog description under 200 characters"
+        }
+        if (!banner || !banner.length) {
+            return "You must provide a banner to publish the blog"
+        }
+        if (!getBlocks(content).length) {
+            return "There must be blog content to publish it"
+        }
+        if (!tags || !tags.length || tags.length > 10) {
+            return "You must provide tags to publish the blog, max 10"
+        }
+    }
+}
+
+const parsePublishAt = (publish_at) => {
+    let date = new Date(publish_at)
+
+    if (isNaN(date)) {
+        return { error: "Publish time is invalid" }
+    }
+    if (date <= new Date()) {
+        return { error: "Publish time must be in the future" }
+    }
+    return { date }
+}
+
+const checkPublishPermission = async (user_id, role) => {
+    if (role == "reader") {
+        return { error: "Your account is not allowed to publish blogs" }
+    }
+    if (!(await User.exists({ _id: user_id, email_verified: true }))) {
+        return { error: "Please verify your email before publishing a blog", code: "email_not_verified" }
+    }
+    return {}
+}
+
+const saveRevision = (blog, { title, des, banner, content, tags, draft }, revision, restored_from) => {
+    return new Revision({
+        blog: blog._id, author: blog.author, revision, title, des, banner, content, tags, draft: Boolean(draft), restored_from
+    }).save()
+}
+
+// Saves new values over an existing blog, keeping a revision snapshot and the
+// author's published posts count in step with the draft state
+const updateBlog = async (blog_id, authorId, fields, restored_from) => {
+    let derivedFields = getBlogDerivedFields(fields.content)
+
+    let blog = await Blog.findOneAndUpdate({ blog_id, author: authorId }, {
+        ...fields, ...derivedFields, draft: Boolean(fields.draft), $inc: { revision: 1 }
+    })
+
+    if (!blog) {
+        return null
+    }
+
+    if (!blog.draft || !fields.draft) {
+        relatedCache.clear()
+    }
+
+    await adjustTagCounts(publishedTags(blog), fields.draft ? [] : publishedTags({ tags: fields.tags }))
+
+    if (!blog.revision) {
+        // Blogs written before revisions existed get their previous state kept as revision 0
+        await saveRevision(blog, blog, 0)
+    }
+    await saveRevision(blog, fields, blog.revision + 1, restored_from)
+
+    let incrementVal = (blog.draft ? 1 : 0) - (fields.draft ? 1 : 0)
+
+    if (incrementVal) {
+        await User.findOneAndUpdate({ _id: authorId }, { $inc: { "account_info.total_posts": incrementVal } })
+    }
+
+    return blog
+}
+
+const generateBlogId = async (title) => {
+    const { nanoid } = (await import("nanoid"))
+
+    return title.replace(/[^a-zA-Z0-9]/g, ' ').replace(/\s+/g, "-").trim() + nanoid()
+}
+
+const saveNewBlog = (authorId, blog_id, fields) => {
+    let derivedFields = getBlogDerivedFields(fields.content)
+
+    let blog = new Blog({
+        ...fields, ...derivedFields, author: authorId, blog_id, revision: 1
+    })
+
+    return blog.save().then(blog => {
+        let incrementVal = blog.draft ? 0 : 1
+
+        if (!blog.draft) {
+            relatedCache.clear()
+        }
+
+        adjustTagCounts([], publishedTags(blog))
+        .catch(err => console.log(err.message))
+
+        saveRevision(blog, blog, 1)
+        .catch(err => console.log(err.message))
+
+        return User.findOneAndUpdate({ _id: authorId }, { $inc : { "account_info.total_posts" : incrementVal }, $push: { "blogs": blog._id } })
+        .then(user => blog)
+    })
+}
+
+server.post("/api/create-blog", verifyJWT, async (req, res) => {
+
+    let authorId = req.user
+
+    let { title, banner, content, tags, des, draft, id, publish_at } = req.body
+
+    let scheduleDate = null
+
+    if (publish_at) {
+        // A scheduled blog has to be ready to publish, it is only kept as a draft until then
+        let { date, error } = parsePublishAt(publish_at)
+
+        if (error) {
+            return res.status(403).json({ error })
+        }
+
+        scheduleDate = date
+        draft = false
+    }
+
+    let validationError = validateBlog({ title, des, banner, content, tags, draft })
+
+    if (validationError) {
+        return res.status(403).json({ error: validationError })
+    }
+
+    if (!draft) {
+        let { error, code } = await checkPublishPermission(authorId, req.role)
+
+        if (error) {
+            return res.status(403).json({ error, code })
+        }
+    }
+
+    tags = await normalizeTags(tags)
+
+    let fields = { title, des, banner, content, tags, draft: Boolean(draft || scheduleDate) }
+
+    if (scheduleDate || !draft || publish_at === null) {
+        fields.publish_at = scheduleDate
+    }
+
+    let blog_id = id || await generateBlogId(title)
+    
+    if (id) {
+        updateBlog(blog_id, authorId, fields)
+        .then(blog => {
+            if (!blog) {
+                return res.status(404).json({ error: "Blog not found" })
+            }
+            return res.status(200).json({ id: blog_id, publish_at: scheduleDate })
+        })
+        .catch(err => {
+            return res.status(500).json({ error: err.message })
+        })
+        
+    } else {
+        saveNewBlog(authorId, blog_id, fields)
+        .then(blog => {
+            return res.status(200).json({ id: blog.blog_id, publish_at: scheduleDate })
+        })
+        .catch(err => {
+            return res.status(500).json({ error: err.message })
+        })
+    }
+
+
+})
+
+let frontMatterKeys = ["title", "description", "des", "tags", "banner"]
+
+server.post("/api/import-markdown", verifyJWT, async (req, res) => {
+
+    let authorId = req.user
+
+    let { markdown } = req.body
+
+    if (!markdown || !markdown.trim().length) {
+        return res.status(403).json({ error: "Please provide the markdown to import" })
+    }
+
+    let { frontMatter, blocks, warnings } = markdownToBlocks(markdown)
+
+    Object.keys(frontMatter).filter(key => !frontMatterKeys.includes(key)).forEach(key => {
+        warnings.push({ line: 1, construct: "front matter", message: `Front matter key "${key}" is not supported and was ignored` })
+    })
+
+    let title = typeof frontMatter.title == "string" ? frontMatter.title : ""
+
+    // Without a title in the front matter, a leading top level heading becomes the title
+    if (!title && blocks.length && blocks[0].type == "header" && blocks[0].data.level == 1) {
+        title = stripHTML(blocks.shift().data.text)
+    }
+
+    let des = frontMatter.description || frontMatter.des || ""
+    let tags = Array.isArray(frontMatter.tags) ? frontMatter.tags : frontMatter.tags ? String(frontMatter.tags).split(",").map(tag => tag.trim()).filter(tag => tag.length) : []
+    let banner = typeof frontMatter.banner == "string" ? frontMatter.banner : ""
+    let content = { time: Date.now(), blocks }
+
+    let validationError = validateBlog({ title, des, banner, content, tags, draft: true })
+
+    if (validationError) {
+        return res.status(403).json({ error: validationError, warnings })
+    }
+    if (typeof des != "string" || des.length > 200) {
+        return res.status(403).json({ error: "You must provide blog description under 200 characters", warnings })
+    }
+    if (tags.length > 10) {
+        return res.status(403).json({ error: "You must provide tags to publish the blog, max 10", warnings })
+    }
+
+    tags = await normalizeTags(tags)
+
+    let blog_id = await generateBlogId(title)
+
+    saveNewBlog(authorId, blog_id, { title, des, banner, content, tags, draft: true })
+    .then(blog => {
+        return res.status(200).json({ id: blog.blog_id, total_blocks: blocks.length, warnings })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const findOwnBlog = (req, blog_id) => {
+    let findQuery = { blog_id }
+
+    if (!["moderator", "admin"].includes(req.role)) {
+        findQuery.author = req.user
+    }
+
+    return Blog.findOne(findQuery).select("author revision draft")
+}
+
+server.post("/api/blog-revisions", verifyJWT, (req, res) => {
+
+    let { blog_id } = req.body
+
+    findOwnBlog(req, blog_id)
+    .then(blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        return Revision.find({ blog: blog._id })
+        .sort({ revision: -1 })
+        .select("revision title draft restored_from savedAt -_id")
+        .then(revisions => {
+            return res.status(200).json({ current_revision: blog.revision, revisions })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/get-revision", verifyJWT, (req, res) => {
+
+    let { blog_id, revision } = req.body
+
+    findOwnBlog(req, blog_id)
+    .then(blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        return Revision.findOne({ blog: blog._id, revision })
+        .select("-_id -blog -author")
+        .then(revision => {
+            if (!revision) {
+                return res.status(404).json({ error: "Revision not found" })
+            }
+            return res.status(200).json({ revision })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/compare-revisions", verifyJWT, (req, res) => {
+
+    let { blog_id, from, to } = req.body
+
+    findOwnBlog(req, blog_id)
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        let revisions = await Revision.find({ blog: blog._id, revision: { $in: [from, to] } })
+
+        let oldRevision = revisions.find(r => r.revision == from)
+        let newRevision = revisions.find(r => r.revision == to)
+
+        if (!oldRevision || !newRevision) {
+            return res.status(404).json({ error: "Revision not found" })
+        }
+
+        let fields = {}
+
+        for (let field of ["title", "des", "banner"]) {
+            if (oldRevision[field] != newRevision[field]) {
+                fields[field] = { before: oldRevision[field], after: newRevision[field] }
+            }
+        }
+
+        let tags = {
+            added: newRevision.tags.filter(tag => !oldRevision.tags.includes(tag)),
+            removed: oldRevision.tags.filter(tag => !newRevision.tags.includes(tag))
+        }
+
+        return res.status(200).json({
+            from, to, fields, tags,
+            blocks: diffBlocks(getBlocks(oldRevision.content), getBlocks(newRevision.content))
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/restore-revision", verifyJWT, (req, res) => {
+
+    let authorId = req.user
+
+    let { blog_id, revision, draft } = req.body
+
+    Blog.findOne({ blog_id, author: authorId })
+    .select("_id")
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        let snapshot = await Revision.findOne({ blog: blog._id, revision })
+
+        if (!snapshot) {
+            return res.status(404).json({ error: "Revision not found" })
+        }
+
+        let { title, des, banner, content } = snapshot
+
+        // Tags merged since the revision was saved come back under their new name,
+        // updateBlog then moves the tag counts like any other edit
+        let tags = await normalizeTags(snapshot.tags)
+        let fields = { title, des, banner, content, tags, draft: Boolean(draft), publish_at: null }
+
+        let validationError = validateBlog(fields)
+
+        if (validationError) {
+            return res.status(403).json({ error: validationError })
+        }
+
+        if (!draft) {
+            let { error, code } = await checkPublishPermission(authorId, req.role)
+
+            if (error) {
+                return res.status(403).json({ error, code })
+            }
+        }
+
+        await updateBlog(blog_id, authorId, fields, snapshot.revision)
+
+        return res.status(200).json({ id: blog_id })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const startOfDay = (date = new Date()) => {
+    let day = new Date(date)
+    day.setUTCHours(0, 0, 0, 0)
+    return day
+}
+
+// Likes and comments are stored as net changes, so an unlike counts against the day it happened
+const recordBlogStat = (blog, field, value = 1) => {
+    return BlogStat.updateOne(
+        { blog: blog._id, day: startOfDay() },
+        { $inc: { [field]: value }, $setOnInsert: { author: blog.author } },
+        { upsert: true }
+    )
+}
+
+// Anonymous readers are told apart by ip and user agent only, an id sent by the
+// client could be changed on every request to count the same reader again
+const getVisitor = (req) => {
+    if (req.user) {
+        return String(req.user)
+    }
+    return hashToken(`${req.ip}|${req.get("user-agent") || ""}`)
+}
+
+const getReferrerHost = (referrer) => {
+    if (typeof referrer != "string" || !referrer.length) {
+        return "direct"
+    }
+
+    try {
+        let { hostname } = new URL(referrer)
+        let clientHost = process.env.CLIENT_URL ? new URL(process.env.CLIENT_URL).hostname : null
+
+        return hostname == clientHost ? "internal" : hostname || "direct"
+    } catch (err) {
+        return "direct"
+    }
+}
+
+// A reader is counted once per blog within each readDedupWindow, refreshes don't add reads.
+// The upsert on the unique window key lets only one of two concurrent requests count.
+const recordRead = async (blog, req) => {
+    let visitor = getVisitor(req)
+    let window = Math.floor(Date.now() / readDedupWindow)
+    let referrer = getReferrerHost(req.body.referrer)
+
+    try {
+        let result = await Read.updateOne(
+            { blog: blog._id, visitor, window },
+            { $setOnInsert: { author: blog.author._id, reader: req.user || null, referrer } },
+            { upsert: true }
+        )
+
+        if (!result.upsertedCount) {
+            return false
+        }
+    } catch (err) {
+        if (err.code == 11000) {
+            return false
+        }
+        throw err
+    }
+
+    await Promise.all([
+        Blog.updateOne({ _id: blog._id }, { $inc: { "activity.total_reads": 1 } }, { timestamps: false }),
+        User.updateOne({ _id: blog.author._id }, { $inc: { "account_info.total_reads": 1 } }),
+        recordBlogStat({ _id: blog._id, author: blog.author._id }, "reads"),
+        ReferrerStat.updateOne(
+            { blog: blog._id, day: startOfDay(), referrer },
+            { $inc: { reads: 1 }, $setOnInsert: { author: blog.author._id } },
+            { upsert: true }
+        )
+    ])
+
+    return true
+}
+
+server.post("/api/get-blog", decodeJWT, (req, res) => {
+
+    let { blog_id, draft, mode, format } = req.body
+
+    if (format && !["json", "html", "markdown"].includes(format)) {
+        return res.status(403).json({ error: "Format must be json, html or markdown" })
+    }
+
+    Blog.findOne({ blog_id })
+    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img")
+    .select("title des content banner activity reactions publishedAt blog_id tags draft publish_at word_count reading_time")
+    .then(async blog => {
+
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        // Drafts, scheduled and hidden blogs are only for their author and moderators
+        let isAuthor = Boolean(req.user && blog.author && blog.author._id == req.user)
+
+        if (blog.draft && (!draft || (!isAuthor && !["moderator", "admin"].includes(req.role)))) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        if (mode != 'edit' && !blog.draft) {
+            recordRead(blog, req)
+            .catch(err => console.log(err.message))
+        }
+
+        let [withReactions] = await withUserReactions(req.user, [blog.toObject({ flattenMaps: true })])
+
+        if (format == "html" || format == "markdown") {
+            let blocks = getBlocks(blog.content)
+
+            withReactions.content = format == "html" ? blocksToHTML(blocks) : blocksToMarkdown(blocks)
+        }
+
+        return res.status(200).json({ blog: withReactions, format: format || "json" })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+
+})
+
+// Both return whether anything changed, so repeating a request never moves the counters twice
+const likeBlog = async (user_id, blog) => {
+    try {
+        let result = await Like.updateOne({ user: user_id, blog: blog._id }, { $setOnInsert: { author: blog.author } }, { upsert: true })
+
+        if (!result.upsertedCount) {
+            return false
+        }
+    } catch (err) {
+        // A concurrent request inserted the same like first
+        if (err.code == 11000) {
+            return false
+        }
+        throw err
+    }
+
+    await Blog.updateOne({ _id: blog._id }, { $inc: { "activity.total_likes": 1 } })
+
+    recordBlogStat(blog, "likes", 1)
+    .catch(err => console.log(err.message))
+
+    createNotification({
+        type: "like",
+        blog: blog._id,
+        notification_for: blog.author,
+        user: user_id
+    }).catch(err => console.log(err.message))
+
+    return true
+}
+
+const unlikeBlog = async (user_id, blog) => {
+    let like = await Like.findOneAndDelete({ user: user_id, blog: blog._id })
+
+    if (!like) {
+        return false
+    }
+
+    await Blog.updateOne({ _id: blog._id, "activity.total_likes": { $gt: 0 } }, { $inc: { "activity.total_likes": -1 } })
+
+    recordBlogStat(blog, "likes", -1)
+    .catch(err => console.log(err.message))
+
+    Notification.findOneAndDelete({ user: user_id, blog: blog._id, type: "like" })
+    .then(notif => notif && pushUnreadCount(blog.author))
+
+    return true
+}
+
+server.post("/api/like-blog", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { _id } = req.body
+
+    Blog.findOne({ _id, draft: false })
+    .select("author")
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        await likeBlog(user_id, blog)
+        return res.status(200).json({ liked_by_user: true })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/unlike-blog", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { _id } = req.body
+
+    Blog.findOne({ _id })
+    .select("author")
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        await unlikeBlog(user_id, blog)
+
+        return res.status(200).json({ liked_by_user: false })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/isLiked-by-user", verifyJWT, (req, res) => {
+    let user_id = req.user
+
+    let { _id } = req.body
+
+    Like.exists({ user: user_id, blog: _id })
+    .then(result => {
+        return res.status(200).json({ result })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+
+})
+
+server.post("/api/blog-likes", (req, res) => {
+
+    let { _id, page } = req.body
+
+    let maxLimit = 20
+
+    Blog.exists({ _id, draft: false })
+    .then(blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        return Promise.all([
+            Like.find({ blog: _id })
+            .populate("user", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+            .sort({ likedAt: -1, _id: -1 })
+            .skip(((page || 1) - 1) * maxLimit)
+            .limit(maxLimit)
+            .select("user likedAt -_id"),
+            Like.countDocuments({ blog: _id })
+        ])
+        .then(([likes, totalDocs]) => {
+            let users = likes.filter(like => like.user).map(({ user, likedAt }) => ({ ...user.toObject(), likedAt }))
+
+            return res.status(200).json({ users, totalDocs })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/liked-blogs", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { page } = req.body
+
+    let maxLimit = 5
+
+    Promise.all([
+        Like.find({ user: user_id })
+        .sort({ likedAt: -1, _id: -1 })
+        .skip(((page || 1) - 1) * maxLimit)
+        .limit(maxLimit)
+        .select("blog"),
+        Like.countDocuments({ user: user_id })
+    ])
+    .then(([likes, totalDocs]) => {
+        return findBlogsInOrder(likes.map(like => like.blog))
+        .then(blogs => {
+            return res.status(200).json({ blogs, totalDocs })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+let reactionEmojis = { clap: "👏", heart: "❤️", party: "🎉", thinking: "🤔", fire: "🔥" }
+
+// Accepts the reaction name or the emoji itself, with or without the variation selector
+const parseReaction = (reaction) => {
+    let plain = String(reaction || "").replace(/\uFE0F/g, "")
+
+    return Object.keys(reactionEmojis).find(name => name == plain || reactionEmojis[name].replace(/\uFE0F/g, "") == plain)
+}
+
+// Adds the reactions `user_id` left on each document, docs have to be plain objects
+const withUserReactions = async (user_id, docs) => {
+    let reactions = user_id && docs.length ? await Reaction.find({ user: user_id, target: { $in: docs.map(doc => doc._id) } }).select("target reaction") : []
+
+    return docs.map(doc => ({
+        ...doc,
+        user_reactions: reactions.filter(item => String(item.target) == String(doc._id)).map(item => item.reaction)
+    }))
+}
+
+const toggleReaction = async (user_id, target_type, target, reaction) => {
+    let Model = target_type == "blog" ? Blog : Comment
+    let blog = target_type == "blog" ? target._id : target.blog_id
+    let notificationQuery = { type: "reaction", user: user_id, blog, comment: target_type == "comment" ? target._id : null, reaction }
+
+    let reacted = !await Reaction.findOneAndDelete({ user: user_id, target: target._id, reaction })
+
+    if (reacted) {
+        try {
+            await new Reaction({ user: user_id, target_type, target: target._id, blog, reaction }).save()
+        } catch (err) {
+            // A concurrent request added the same reaction first
+            if (err.code == 11000) {
+                return { reacted, reactions: target.toObject({ flattenMaps: true }).reactions }
+            }
+            throw err
+        }
+    }
+
+    let updated = await Model.findOneAndUpdate({ _id: target._id }, { $inc: { [`reactions.${reaction}`]: reacted ? 1 : -1 } }, { new: true, timestamps: false })
+    .select("reactions")
+
+    if (reacted) {
+        createNotification({
+            ...notificationQuery,
+            comment: notificationQuery.comment || undefined,
+            notification_for: target_type == "blog" ? target.author : target.commented_by
+        }).catch(err => console.log(err.message))
+    } else {
+        Notification.findOneAndDelete(notificationQuery)
+        .then(notif => notif && pushUnreadCount(notif.notification_for))
+    }
+
+    return { reacted, reactions: updated.toObject({ flattenMaps: true }).reactions }
+}
+
+server.post("/api/react-blog", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { _id } = req.body
+    let reaction = parseReaction(req.body.reaction)
+
+    if (!reaction) {
+        return res.status(403).json({ error: `Reaction must be one of ${Object.values(reactionEmojis).join(" ")}` })
+    }
+
+    Blog.findOne({ _id, draft: false })
+    .select("author reactions")
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        let { reacted, reactions } = await toggleReaction(user_id, "blog", blog, reaction)
+
+        return res.status(200).json({ reaction, reacted, reactions })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/react-comment", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { _id } = req.body
+    let reaction = parseReaction(req.body.reaction)
+
+    if (!reaction) {
+        return res.status(403).json({ error: `Reaction must be one of ${Object.values(reactionEmojis).join(" ")}` })
+    }
+
+    Comment.findOne({ _id, hidden: { $ne: true } })
+    .select("blog_id commented_by reactions")
+    .then(async comment => {
+        if (!comment || !(await Blog.exists({ _id: comment.blog_id, draft: false }))) {
+            return res.status(404).json({ error: "Comment not found" })
+        }
+
+        let { reacted, reactions } = await toggleReaction(user_id, "comment", comment, reaction)
+
+        return res.status(200).json({ reaction, reacted, reactions })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+// Sends each mentioned user a single notification per comment, however often it is edited.
+// Whoever already got the comment or reply notification for it is skipped.
+const notifyMentions = async (comment, user_id) => {
+    let candidates = extractMentions(comment.comment)
+    let usernames = [...new Set(candidates.flat())]
+
+    let users = usernames.length ? await User.find({ "personal_info.username": { $in: usernames } }).select("personal_info.username") : []
+    let ids = new Map(users.map(user => [user.personal_info.username, user._id]))
+
+    let mentions = [...new Set(candidates
+        .map(names => names.map(name => ids.get(name)).find(id => id))
+        .filter(id => id && id != user_id)
+        .map(String))]
+
+    await Comment.updateOne({ _id: comment._id }, { mentions }, { timestamps: false })
+
+    for (let mentioned of mentions) {
+        let notified = await Notification.exists({ comment: comment._id, notification_for: mentioned, type: { $in: ["comment", "reply", "mention"] } })
+
+        if (!notified) {
+            await createNotification({ type: "mention", blog: comment.blog_id, notification_for: mentioned, user: user_id, comment: comment._id })
+        }
+    }
+
+    return mentions
+}
+
+server.post("/api/add-comment", verifyJWT, requireVerifiedEmail, (req, res) => {
+    let user_id = req.user
+
+    let { _id, comment, blog_author, replying_to, notification_id } = req.body
+
+    if (!comment.length) {
+        return res.status(403).json({ error: "Please write something to comment" })
+    }
+
+    let commentObj = {
+        blog_id: _id, blog_author, comment, commented_by: user_id
+    }
+
+    if (replying_to) {
+        commentObj.parent = replying_to
+        commentObj.isReply = true
+    }
+
+    new Comment(commentObj).save().then(async commentFile => {
+        let { comment, commentedAt, children } = commentFile
+
+        Blog.findOneAndUpdate({ _id }, { $push: { "comments": commentFile._id }, $inc: { "activity.total_comments": 1, "activity.total_parent_comments": replying_to ? 0 : 1 } })
+        .then(blog => recordBlogStat(blog, "comments"))
+        .catch(err => console.log(err.message))
+
+        let notificationObj = {
+            type: replying_to ? "reply" : "comment",
+            blog: _id,
+            notification_for: blog_author,
+            user: user_id,
+            comment: commentFile._id
+        }
+
+        if (replying_to) {
+            notificationObj.replied_on_comment = replying_to
+
+            await Comment.findOneAndUpdate({ _id: replying_to }, { $push: { children: commentFile._id } })
+            .then(replyingToCommentDoc => {
+                notificationObj.notification_for = replyingToCommentDoc.commented_by
+            })
+
+            if (notification_id) {
+                Notification.findOneAndUpdate({ _id: notification_id }, { reply: commentFile._id })
+                .then(notification => console.log("notif updated"))
+            }
+        }
+
+        createNotification(notificationObj)
+        .then(notif => notifyMentions(commentFile, user_id))
+        .catch(err => console.log(err.message))
+
+        return res.status(200).json({
+            comment, commentedAt, _id: commentFile._id, user_id, children
+        })
+    })
+})
+
+server.post("/api/edit-comment", verifyJWT, requireVerifiedEmail, (req, res) => {
+    let user_id = req.user
+
+    let { _id, comment } = req.body
+
+    if (typeof comment != "string" || !comment.trim().length) {
+        return res.status(403).json({ error: "Please write something to comment" })
+    }
+
+    Comment.findOne({ _id })
+    .select("comment commented_by blog_id hidden commentedAt editedAt")
+    .then(async found => {
+        if (!found) {
+            return res.status(404).json({ error: "Comment not found" })
+        }
+        if (found.commented_by != user_id) {
+            return res.status(403).json({ error: "You can only edit your own comments" })
+        }
+        if (found.hidden) {
+            return res.status(403).json({ error: "This comment was hidden by a moderator" })
+        }
+        if (found.comment == comment) {
+            return res.status(200).json({ _id, comment, edited: Boolean(found.editedAt), editedAt: found.editedAt })
+        }
+
+        let editedAt = new Date()
+
+        // Matching on the old text keeps two edits at once from losing a version
+        let edited = await Comment.findOneAndUpdate(
+            { _id, comment: found.comment },
+            { comment, edited: true, editedAt, $push: { history: { comment: found.comment, savedAt: found.editedAt || found.commentedAt } } },
+            { new: true }
+        )
+
+        if (!edited) {
+            return res.status(409).json({ error: "This comment was changed in the meantime, please try again" })
+        }
+
+        let mentions = await notifyMentions(edited, user_id)
+
+        return res.status(200).json({ _id, comment, edited: true, editedAt, mentions })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+// Older clients get the bare array back, sending `cursor` (null for the first page) switches
+// to { comments, next_cursor, totalDocs }
+server.post("/api/get-blog-comments", decodeJWT, (req, res) => {
+    let { blog_id, skip, cursor, include_count } = req.body
+
+    let maxLimit = 5
+
+    let findQuery = { blog_id, isReply: false, hidden: { $ne: true } }
+    let sortQuery = { "commentedAt": -1, _id: -1 }
+
+    let { pageQuery, skipDocs, error } = getPageQuery(findQuery, sortQuery, cursor, Number(skip || 0))
+
+    if (error) {
+        return res.status(403).json({ error })
+    }
+
+    Promise.all([
+        Comment.find(pageQuery)
+        .populate("commented_by", "personal_info.fullname personal_info.username personal_info.profile_img")
+        .skip(skipDocs)
+        .limit(maxLimit + 1)
+        .sort(sortQuery)
+        .lean(),
+        countIfRequested(Comment, findQuery, include_count)
+    ])
+    .then(async ([comment, totalDocs]) => {
+        let { docs, next_cursor } = splitPage(comment, sortQuery, maxLimit, skipDocs)
+        let comments = await withUserReactions(req.user, docs)
+
+        if (cursor === undefined) {
+            return res.status(200).json(comments)
+        }
+        return res.status(200).json({ comments, next_cursor, totalDocs })
+    })
+    .catch(err => {
+        console.log(err.message);
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/get-replies", decodeJWT, (req, res) => {
+
+    let { _id, skip, cursor, include_count } = req.body
+
+    let maxLimit = 5
+
+    let findQuery = { hidden: { $ne: true } }
+    let sortQuery = { 'commentedAt': -1, _id: -1 }
+
+    let { pageQuery, skipDocs, error } = getPageQuery(findQuery, sortQuery, cursor, Number(skip || 0))
+
+    if (error) {
+        return res.status(403).json({ error })
+    }
+
+    Comment.findOne({ _id })
+    .populate({
+        path: "children",
+        match: pageQuery,
+        options: {
+            limit: maxLimit + 1,
+            skip: skipDocs,
+            sort: sortQuery
+        },
+        populate: {
+            path: 'commented_by',
+            select: "personal_info.profile_img personal_info.fullname personal_info.username"
+        },
+        select: "-blog_id -updatedAt"
+    })
+    .select("children")
+    .lean()
+    .then(async doc => {
+        if (!doc) {
+            return res.status(404).json({ error: "Comment not found" })
+        }
+
+        let { docs, next_cursor } = splitPage(doc.children, sortQuery, maxLimit, skipDocs)
+        let totalDocs = await countIfRequested(Comment, { ...findQuery, parent: doc._id }, include_count)
+
+        return res.status(200).json({ replies: await withUserReactions(req.user, docs), next_cursor, totalDocs })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const deleteComments = (_id) => {
+    Comment.findOneAndDelete({ _id })
+    .then(comment => {
+        if (comment.parent) {
+            Comment.findOneAndUpdate({ _id: comment.parent }, { $pull: { children: _id } })
+            .then(data => console.log('Comment delete from parent'))
+            .catch(err => console.log(err))
+        }
+
+        // Comment, reply, mention and reaction notifications all point at the comment
+        Notification.find({ comment: _id })
+        .distinct("notification_for")
+        .then(receivers => {
+            return Notification.deleteMany({ comment: _id })
+            .then(() => receivers.forEach(receiver => pushUnreadCount(receiver)))
+        })
+        .catch(err => console.log(err.message))
+
+        Reaction.deleteMany({ target: _id })
+        .then(data => console.log('Comment reactions deleted'))
+
+        Report.updateMany({ target: _id, status: "open" }, { status: "deleted", resolvedAt: new Date() })
+        .then(data => console.log('Comment reports closed'))
+
+        Notification.findOneAndUpdate({ reply: _id }, { $unset: { reply: 1 } })
+        .then(notif => console.log('Reply notification deleted'))
+
+        Blog.findOneAndUpdate({ _id: comment.blog_id }, { $pull: { comments: _id }, $inc: { "activity.total_comments": -1, "activity.total_parent_comments": comment.parent ? 0 : -1 } })
+        .then(blog => {
+            if (blog) {
+                recordBlogStat(blog, "comments", -1)
+                .catch(err => console.log(err.message))
+            }
+
+            if (comment.children.length) {
+                comment.children.map(replies => {
+                    deleteComments(replies)
+                })
+            }
+        })
+    })
+    .catch(err => {
+        console.log(err.message);
+    })
+}
+
+server.post("/api/delete-comment", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { _id } = req.body
+
+    Comment.findOne({ _id })
+    .then(comment => {
+        if (user_id == comment.commented_by || user_id == comment.blog_author) {
+            deleteComments(_id)
+
+            return res.status(200).json({ status: "Done" })
+        } else {
+            return res.status(403).json({ error: "You cannot delete this comment" })
+        }
+    })
+})
+
+server.get("/api/new-notification", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    Notification.exists({ notification_for: user_id, seen: false, user: { $ne: user_id }, in_app: { $ne: false } })
+    .then(result => {
+        if (result) {
+            return res.status(200).json({ new_notification_available: true })
+        } else {
+            return res.status(200).json({ new_notification_available: false })
+         }
+    })
+    .catch(err => {
+        console.log(err.message);
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.get("/api/notifications/stream", (req, res) => {
+    // EventSource cannot send headers, so the access token may also come in the query string
+    const authHeader = req.headers['authorization']
+    const token = (authHeader && authHeader.split(" ")[1]) || req.query.access_token
+
+    if (!token) {
+        return res.status(401).json({ error: "No access token" })
+    }
+
+    let closed = false
+    let removeClient = () => {}
+    let authCheck = null
+
+    const stopStream = () => {
+        closed = true
+        clearInterval(authCheck)
+        removeClient()
+    }
+
+    // Registered before the token check, a client that leaves during it is never added
+    req.on("close", stopStream)
+
+    authenticateToken(token)
+    .then(async ({ user }) => {
+        if (closed) {
+            return
+        }
+
+        res.set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive",
+            "X-Accel-Buffering": "no"
+        })
+        res.flushHeaders()
+        res.write("retry: 5000\n\n")
+
+        removeClient = notificationStream.addClient(user, res)
+
+        // Logging out, revoked sessions, password changes, suspensions and token expiry end the stream
+        authCheck = setInterval(() => {
+            authenticateToken(token)
+            .catch(({ status, error, code }) => {
+                if (status == 500 || closed) {
+                    return
+                }
+                notificationStream.writeEvent(res, "auth_error", { error, code })
+                stopStream()
+                res.end()
+            })
+        }, streamAuthInterval)
+
+        let lastEventId = req.headers["last-event-id"] || req.query.last_event_id
+
+        if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+            let missed = await Notification.find({ notification_for: user, user: { $ne: user }, in_app: { $ne: false }, _id: { $gt: lastEventId } })
+            .sort({ _id: 1 })
+            .limit(50)
+            .populate(notificationPopulate)
+            .select("createdAt type seen reply reaction")
+
+            missed.forEach(notification => notificationStream.writeEvent(res, "notification", notification, notification._id))
+        }
+
+        let count = await Notification.countDocuments({ notification_for: user, seen: false, user: { $ne: user }, in_app: { $ne: false } })
+        notificationStream.writeEvent(res, "unread_count", { count })
+    })
+    .catch(({ status, error, code }) => {
+        if (res.headersSent) {
+            return res.end()
+        }
+        return res.status(status || 500).json({ error, code })
+    })
+})
+
+server.post("/api/notifications", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+    let { page, filter, deletedDocCount, cursor, include_count } = req.body
+
+    let maxLimit = 10
+    let findQuery = { notification_for: user_id, user: { $ne: user_id }, in_app: { $ne: false } }
+    let sortQuery = { createdAt: -1, _id: -1 }
+
+    if (filter != 'all') {
+        findQuery.type = filter
+    }
+
+    // deletedDocCount only matters for page numbers, a cursor never shifts
+    let { pageQuery, skipDocs, error } = getPageQuery(findQuery, sortQuery, cursor, ((page || 1) - 1) * maxLimit - Number(deletedDocCount || 0))
+
+    if (error) {
+        return res.status(403).json({ error })
+    }
+
+    Promise.all([
+        Notification.find(pageQuery)
+        .skip(skipDocs)
+        .limit(maxLimit + 1)
+        .populate(notificationPopulate)
+        .sort(sortQuery)
+        .select("createdAt type seen reply reaction"),
+        countIfRequested(Notification, findQuery, include_count)
+    ])
+    .then(([notifications, totalDocs]) => {
+        let { docs, next_cursor } = splitPage(notifications, sortQuery, maxLimit, skipDocs)
+
+        Notification.updateMany({ _id: { $in: docs.map(notification => notification._id) } }, { seen: true })
+        .then(() => pushUnreadCount(user_id))
+
+        return res.status(200).json({ notifications: docs, next_cursor, totalDocs })
+    })
+    .catch(err => {
+        console.log(err.message);
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/all-notifications-count", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { filter } = req.body
+
+    let findQuery = { notification_for: user_id, user: { $ne: user_id }, in_app: { $ne: false } }
+
+    if (filter != 'all') {
+        findQuery.type = filter
+    }
+
+    Notification.countDocuments(findQuery)
+    .then(count => {
+        return res.status(200).json({ totalDocs: count })
+    })
+    .catch(err => {
+        console.log(err.message);
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/user-written-blogs", verifyJWT, (req, res) => {
+    let user_id = req.user
+
+    let { page, draft, query, deletedDocCount, cursor, include_count } = req.body
+
+    let maxLimit = 5
+
+    let findQuery = { author: user_id, draft, title: new RegExp(escapeRegex(query), 'i') }
+    let sortQuery = { publishedAt: -1, blog_id: -1 }
+
+    if (draft) {
+        findQuery.publish_at = null
+    }
+
+    let { pageQuery, skipDocs, error } = getPageQuery(findQuery, sortQuery, cursor, ((page || 1) - 1) * maxLimit - Number(deletedDocCount || 0))
+
+    if (error) {
+        return res.status(403).json({ error })
+    }
+
+    Promise.all([
+        Blog.find(pageQuery)
+        .skip(skipDocs)
+        .limit(maxLimit + 1)
+        .sort(sortQuery)
+        .select("title banner publishedAt blog_id activity des draft word_count reading_time -_id"),
+        countIfRequested(Blog, findQuery, include_count)
+    ])
+    .then(([blogs, totalDocs]) => {
+        let { docs, next_cursor } = splitPage(blogs, sortQuery, maxLimit, skipDocs)
+
+        return res.status(200).json({ blogs: docs, next_cursor, totalDocs })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/user-written-blogs-count", verifyJWT, (req, res) => {
+    let user_id = req.user
+
+    let { draft, query } = req.body
+
+    let findQuery = { author: user_id, draft, title: new RegExp(escapeRegex(query), "i") }
+
+    if (draft) {
+        findQuery.publish_at = null
+    }
+
+    Blog.countDocuments(findQuery)
+    .then(count => {
+        return res.status(200).json({ totalDocs: count })
+    })
+    .catch(err => {
+        console.log(err);
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const emptyStatsSeries = (start, days) => {
+    return Array.from({ length: days }, (_, i) => ({
+        date: new Date(start.getTime() + i * dayLength).toISOString().slice(0, 10),
+        reads: 0, likes: 0, comments: 0
+    }))
+}
+
+server.post("/api/author-stats", verifyJWT, async (req, res) => {
+    let author = new mongoose.Types.ObjectId(req.user)
+
+    let { from, to, blog_id } = req.body
+
+    let end = startOfDay(to ? new Date(to) : new Date())
+    let start = from ? startOfDay(new Date(from)) : new Date(end.getTime() - 29 * dayLength)
+
+    if (isNaN(start) || isNaN(end)) {
+        return res.status(403).json({ error: "Date range is invalid" })
+    }
+
+    let days = Math.round((end - start) / dayLength) + 1
+
+    if (days < 1 || days > statsMaxDays) {
+        return res.status(403).json({ error: `Date range must cover 1 to ${statsMaxDays} days` })
+    }
+
+    try {
+        let blogQuery = { author }
+
+        if (blog_id) {
+            let blog = await Blog.findOne({ blog_id, author }).select("_id")
+
+            if (!blog) {
+                return res.status(404).json({ error: "Blog not found" })
+            }
+            blogQuery.blog = blog._id
+        }
+
+        let [stats, referrers] = await Promise.all([
+            BlogStat.find({ ...blogQuery, day: { $gte: start, $lte: end } }).lean(),
+            ReferrerStat.aggregate([
+                { $match: { ...blogQuery, day: { $gte: start, $lte: end } } },
+                { $group: { _id: "$referrer", reads: { $sum: "$reads" } } },
+                { $sort: { reads: -1, _id: 1 } },
+                { $limit: 10 },
+                { $project: { _id: 0, referrer: "$_id", reads: 1 } }
+            ])
+        ])
+
+        let blogs = await Blog.find({ _id: { $in: [...new Set(stats.map(stat => String(stat.blog)))] } })
+        .select("blog_id title")
+
+        let totals = { reads: 0, likes: 0, comments: 0 }
+        let series = emptyStatsSeries(start, days)
+        let posts = new Map(blogs.map(blog => [String(blog._id), {
+            blog_id: blog.blog_id, title: blog.title, totals: { reads: 0, likes: 0, comments: 0 }, series: emptyStatsSeries(start, days)
+        }]))
+
+        stats.forEach(stat => {
+            let index = Math.round((stat.day - start) / dayLength)
+            let post = posts.get(String(stat.blog))
+
+            for (let field of ["reads", "likes", "comments"]) {
+                totals[field] += stat[field]
+                series[index][field] += stat[field]
+
+                if (post) {
+                    post.totals[field] += stat[field]
+                    post.series[index][field] += stat[field]
+                }
+            }
+        })
+
+        posts = [...posts.values()]
+
+        let top_posts = [...posts]
+        .sort((a, b) => b.totals.reads - a.totals.reads || b.totals.likes - a.totals.likes)
+        .slice(0, 5)
+        .map(({ blog_id, title, totals }) => ({ blog_id, title, ...totals }))
+
+        return res.status(200).json({
+            from: series[0].date, to: series[series.length - 1].date,
+            totals, series, posts, top_posts, top_referrers: referrers
+        })
+    } catch (err) {
+        return res.status(500).json({ error: err.message })
+    }
+})
+
+server.post("/api/scheduled-blogs", verifyJWT, (req, res) => {
+    let user_id = req.user
+
+    Blog.find({ author: user_id, draft: true, publish_at: { $ne: null } })
+    .sort({ publish_at: 1 })
+    .select("title banner blog_id des tags publish_at -_id")
+    .then(blogs => {
+        return res.status(200).json({ blogs })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/reschedule-blog", verifyJWT, (req, res) => {
+    let user_id = req.user
+
+    let { blog_id, publish_at } = req.body
+
+    let { date, error } = parsePublishAt(publish_at)
+
+    if (error) {
+        return res.status(403).json({ error })
+    }
+
+    Blog.findOneAndUpdate({ blog_id, author: user_id, draft: true, publish_at: { $ne: null } }, { publish_at: date })
+    .then(blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Scheduled blog not found" })
+        }
+        return res.status(200).json({ id: blog_id, publish_at: date })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/cancel-scheduled-blog", verifyJWT, (req, res) => {
+    let user_id = req.user
+
+    let { blog_id } = req.body
+
+    Blog.findOneAndUpdate({ blog_id, author: user_id, draft: true, publish_at: { $ne: null } }, { publish_at: null })
+    .then(blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Scheduled blog not found" })
+        }
+        return res.status(200).json({ id: blog_id, draft: true })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const publishScheduledBlogs = async () => {
+    let dueBlogs = await Blog.find({ draft: true, publish_at: { $ne: null, $lte: new Date() } })
+    .populate("author", "role suspended")
+    .select("blog_id title des banner content tags author publish_at")
+
+    for (let blog of dueBlogs) {
+        // The author or the blog may have changed since it was scheduled, so it is checked again.
+        // A blog that can't go live falls back to a plain draft instead of being retried every run.
+        let error = !blog.author ? "Author not found"
+            : blog.author.suspended ? "Author is suspended"
+            : validateBlog({ ...blog.toObject(), draft: false }) || (await checkPublishPermission(blog.author._id, blog.author.role)).error
+
+        if (error) {
+            await Blog.updateOne({ _id: blog._id, draft: true, publish_at: blog.publish_at }, { publish_at: null })
+            console.log(`Scheduled blog ${blog.blog_id} was not published: ${error}`);
+            continue
+        }
+
+        // Goes through the driver because mongoose never lets publishedAt (the createdAt timestamp) change,
+        // and a scheduled blog should be dated when it goes live, not when it was written
+        let published = await Blog.collection.findOneAndUpdate(
+            { _id: blog._id, draft: true, publish_at: blog.publish_at },
+            { $set: { draft: false, publish_at: null, publishedAt: blog.publish_at, updatedAt: new Date() } }
+        )
+
+        if (published) {
+            relatedCache.clear()
+            await adjustTagCounts([], publishedTags({ tags: published.tags }))
+            await User.findOneAndUpdate({ _id: blog.author._id }, { $inc: { "account_info.total_posts": 1 } })
+            console.log(`Scheduled blog ${published.blog_id} published`);
+        }
+    }
+}
+
+const deleteBlog = (blog) => {
+    relatedCache.clear()
+
+    adjustTagCounts(publishedTags(blog), [])
+    .then(data => console.log("Tag counts updated"))
+
+    Notification.deleteMany({ blog: blog._id })
+    .then(data => console.log("Notification deleted"))
+
+    Comment.deleteMany({ blog_id: blog._id })
+    .then(data => console.log("Comment deleted"))
+
+    User.findOneAndUpdate({ _id: blog.author }, { $pull: { blogs: blog._id }, $inc: { "account_info.total_posts": blog.draft ? 0 : -1 } })
+    .then(user => console.log("blog deleted"))
+
+    User.updateMany({ bookmarks: blog._id }, { $pull: { bookmarks: blog._id } })
+    .then(data => console.log("Bookmarks deleted"))
+
+    ReadingList.updateMany({ blogs: blog._id }, { $pull: { blogs: blog._id } })
+    .then(data => console.log("Reading list entries deleted"))
+
+    Report.updateMany({ blog: blog._id, status: "open" }, { status: "deleted", resolvedAt: new Date() })
+    .then(data => console.log("Blog reports closed"))
+
+    Revision.deleteMany({ blog: blog._id })
+    .then(data => console.log("Revisions deleted"))
+
+    Like.deleteMany({ blog: blog._id })
+    .then(data => console.log("Likes deleted"))
+
+    Reaction.deleteMany({ blog: blog._id })
+    .then(data => console.log("Reactions deleted"))
+
+    Read.deleteMany({ blog: blog._id })
+    .then(data => console.log("Reads deleted"))
+
+    BlogStat.deleteMany({ blog: blog._id })
+    .then(data => console.log("Blog stats deleted"))
+
+    ReferrerStat.deleteMany({ blog: blog._id })
+    .then(data => console.log("Referrer stats deleted"))
+}
+
+const unpublishBlog = (blog_id) => {
+    return Blog.findOneAndUpdate({ blog_id, draft: false }, { draft: true })
+    .then(blog => {
+        if (blog) {
+            relatedCache.clear()
+
+            adjustTagCounts(publishedTags(blog), [])
+            .catch(err => console.log(err.message))
+
+            User.findOneAndUpdate({ _id: blog.author }, { $inc: { "account_info.total_posts": -1 } })
+            .then(user => console.log("Blog unpublished"))
+        }
+        return blog
+    })
+}
+
+server.post("/api/delete-blog", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+    let { blog_id } = req.body
+
+    Blog.findOne({ blog_id })
+    .select("author")
+    .then(blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
         }
-        if (!banner.length) {
-            return res.status(403).json({ error: "You must provide a banner to publish the blog"} )
+        if (user_id != blog.author && !["moderator", "admin"].includes(req.role)) {
+            return res.status(403).json({ error: "You cannot delete this blog" })
+        }
+
+        return Blog.findOneAndDelete({ blog_id })
+        .then(blog => {
+            deleteBlog(blog)
+
+            return res.status(200).json({ status: "Done" })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+
+})
+
+server.post("/api/bookmark-blog", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { blog_id } = req.body
+
+    Blog.findOne({ blog_id, draft: false })
+    .select("_id")
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
         }
-        if (!content.blocks.length) {
-            return res.status(403).json({ error: "There must be blog content to publish it"} )
+
+        await User.updateOne({ _id: user_id, bookmarks: { $ne: blog._id } }, { $push: { bookmarks: { $each: [blog._id], $position: 0 } } })
+
+        return res.status(200).json({ bookmarked_by_user: true })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/remove-bookmark", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { blog_id } = req.body
+
+    Blog.findOne({ blog_id })
+    .select("_id")
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
         }
-        if (!tags.length || tags.length > 10) {
-            return res.status(403).json({ error: "You must provide tags to publish the blog, max 10"} )
+
+        await User.updateOne({ _id: user_id }, { $pull: { bookmarks: blog._id } })
+
+        return res.status(200).json({ bookmarked_by_user: false })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/isBookmarked-by-user", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { blog_id } = req.body
+
+    Blog.findOne({ blog_id })
+    .select("_id")
+    .then(blog => {
+        if (!blog) {
+            return false
         }
-    }
+        return User.exists({ _id: user_id, bookmarks: blog._id })
+    })
+    .then(result => {
+        return res.status(200).json({ result: Boolean(result) })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
 
-    tags = tags.map(tag => tag.toLowerCase())
+server.post("/api/bookmarks", verifyJWT, (req, res) => {
 
-    let blog_id = id || title.replace(/[^a-zA-Z0-9]/g, ' ').replace(/\s+/g, "-").trim() + nanoid()
-    
-    if (id) {
-        Blog.findOneAndUpdate({ blog_id }, { title, des, banner, content, tags, draft: draft ? draft : false })
-        .then(blog => {
-            return res.status(200).json({ id: blog_id })
-        })
-        .catch(err => {
-            return res.status(500).json({ error: err,message })
-        })
-        
-    } else {
-        let blog = new Blog({
-            title, des, banner, content, tags, author: authorId, blog_id, draft: Boolean(draft)
-        })
-    
-        blog.save().then(blog => {
-            let incrementVal = draft ? 0 : 1
-    
-            User.findOneAndUpdate({ _id: authorId }, { $inc : { "account_info.total_posts" : incrementVal }, $push: { "blogs": blog._id } })
-            .then(user => {
-                return res.status(200).json({ id: blog.blog_id })
-            })
-            .catch(err => {
-                return res.status(500).json({ error: "Failed to update total posts number"})
-            })
-        })
-        .catch(err => {
-            return res.status(500).json({ error: err.message })
+    let user_id = req.user
+
+    let { page } = req.body
+
+    let maxLimit = 5
+    let skipDocs = ((page || 1) - 1) * maxLimit
+
+    User.findOne({ _id: user_id })
+    .select("bookmarks")
+    .then(user => filterPublishedIds(user.bookmarks))
+    .then(bookmarks => {
+        return findBlogsInOrder(bookmarks.slice(skipDocs, skipDocs + maxLimit))
+        .then(blogs => {
+            return res.status(200).json({ blogs, totalDocs: bookmarks.length })
         })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const validateReadingList = ({ name, description }) => {
+    if (!name || !name.trim().length) {
+        return "You must provide a name for the reading list"
+    }
+    if (name.length > 60) {
+        return "Reading list name should not be more than 60 characters"
     }
+    if (description && description.length > 200) {
+        return "Reading list description should not be more than 200 characters"
+    }
+}
+
+server.post("/api/create-reading-list", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { name, description, is_public } = req.body
 
+    let validationError = validateReadingList({ name, description })
 
+    if (validationError) {
+        return res.status(403).json({ error: validationError })
+    }
+
+    new ReadingList({ name: name.trim(), description, is_public: Boolean(is_public), owner: user_id }).save()
+    .then(list => {
+        return res.status(200).json({ list_id: list._id })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
 })
 
-server.post("/api/get-blog", (req, res) => {
+server.post("/api/update-reading-list", verifyJWT, (req, res) => {
 
-    let { blog_id, draft, mode } = req.body
+    let user_id = req.user
 
-    let incrementVal = mode != 'edit' ? 1 : 0
+    let { list_id, name, description, is_public } = req.body
 
-    Blog.findOneAndUpdate({ blog_id }, { $inc : { "activity.total_reads": incrementVal } })
-    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img")
-    .select("title des content banner activity publishedAt blog_id tags")
-    .then(blog => {
+    let validationError = validateReadingList({ name, description })
 
-        User.findOneAndUpdate({ "personal_info.username" : blog.author.personal_info.username }, { $inc : { "account_info.total_reads" : incrementVal }})
-        .catch(err => {
-            return res.status(500).json({ error: err.message })
-        })
+    if (validationError) {
+        return res.status(403).json({ error: validationError })
+    }
 
-        if (blog.draft && !draft) {
-            return res.status(500).json({ error: "You can not access draft blog" })
+    ReadingList.findOneAndUpdate({ _id: list_id, owner: user_id }, { name: name.trim(), description, is_public: Boolean(is_public) }, { runValidators: true })
+    .then(list => {
+        if (!list) {
+            return res.status(404).json({ error: "Reading list not found" })
         }
+        return res.status(200).json({ list_id })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/delete-reading-list", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { list_id } = req.body
 
-        return res.status(200).json({ blog })
+    ReadingList.findOneAndDelete({ _id: list_id, owner: user_id })
+    .then(list => {
+        if (!list) {
+            return res.status(404).json({ error: "Reading list not found" })
+        }
+        return res.status(200).json({ status: "Done" })
     })
     .catch(err => {
         return res.status(500).json({ error: err.message })
     })
+})
+
+server.post("/api/user-reading-lists", decodeJWT, (req, res) => {
+
+    let { username } = req.body
+
+    let findOwner = username ? User.findOne({ "personal_info.username": username }).select("_id") : Promise.resolve(req.user ? { _id: req.user } : null)
+
+    findOwner
+    .then(owner => {
+        if (!owner) {
+            return res.status(404).json({ error: "User not found" })
+        }
+
+        let findQuery = { owner: owner._id }
 
+        if (owner._id != req.user) {
+            findQuery.is_public = true
+        }
+
+        return ReadingList.find(findQuery)
+        .sort({ updatedAt: -1 })
+        .select("name description is_public blogs updatedAt")
+        .lean()
+        .then(async lists => {
+            let published = new Set((await filterPublishedIds(lists.flatMap(list => list.blogs))).map(id => id.toString()))
+
+            lists = lists.map(({ blogs, ...list }) => ({ ...list, total_blogs: blogs.filter(id => published.has(id.toString())).length }))
+            return res.status(200).json({ lists })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
 })
 
-server.post("/api/like-blog", verifyJWT, (req, res) => {
+server.post("/api/get-reading-list", decodeJWT, (req, res) => {
 
-    let user_id = req.user
+    let { list_id, page } = req.body
 
-    let { _id, isLikedByUser } = req.body
+    let maxLimit = 5
+    let skipDocs = ((page || 1) - 1) * maxLimit
 
-    let incrementVal = !isLikedByUser ? 1 : -1
+    ReadingList.findOne({ _id: list_id })
+    .populate("owner", "personal_info.fullname personal_info.username personal_info.profile_img")
+    .then(list => {
+        if (!list || (!list.is_public && list.owner._id != req.user)) {
+            return res.status(404).json({ error: "Reading list not found" })
+        }
 
-    Blog.findOneAndUpdate({ _id }, { $inc: { "activity.total_likes": incrementVal } })
-    .then(blog => {
-        if (!isLikedByUser) {
-            let like = new Notification({
-                type: "like",
-                blog: _id,
-                notification_for: blog.author,
-                user: user_id
-            })
-            like.save().then(notif => {
-                return res.status(200).json({ liked_by_user: true })
-            })
-        } else {
-            Notification.findOneAndDelete({ user: user_id, blog: _id, type: "like" })
-            .then(data => {
-                return res.status(200).json({ liked_by_user: false })
-            })
-            .catch(err => {
-                return res.status(500).json({ error: err.message })
+        return filterPublishedIds(list.blogs)
+        .then(ids => findBlogsInOrder(ids.slice(skipDocs, skipDocs + maxLimit)).then(blogs => [blogs, ids.length]))
+        .then(([blogs, totalDocs]) => {
+            let { _id, name, description, is_public, owner, updatedAt } = list
+
+            return res.status(200).json({
+                list: { _id, name, description, is_public, updatedAt, owner: owner.personal_info },
+                blogs,
+                totalDocs
             })
-        }
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/isLiked-by-user", verifyJWT, (req, res) => {
+server.post("/api/reading-list-add", verifyJWT, (req, res) => {
+
     let user_id = req.user
 
-    let { _id } = req.body
+    let { list_id, blog_id } = req.body
 
-    Notification.exists({ user: user_id, type: "like", blog: _id })
-    .then(result => {
-        return res.status(200).json({ result })
+    Blog.findOne({ blog_id, draft: false })
+    .select("_id")
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
+
+        let list = await ReadingList.findOne({ _id: list_id, owner: user_id }).select("blogs")
+
+        if (!list) {
+            return res.status(404).json({ error: "Reading list not found" })
+        }
+
+        await ReadingList.updateOne({ _id: list_id, blogs: { $ne: blog._id } }, { $push: { blogs: blog._id } })
+
+        return res.status(200).json({ status: "Done" })
     })
     .catch(err => {
         return res.status(500).json({ error: err.message })
     })
+})
+
+server.post("/api/reading-list-remove", verifyJWT, (req, res) => {
+
+    let user_id = req.user
+
+    let { list_id, blog_id } = req.body
+
+    Blog.findOne({ blog_id })
+    .select("_id")
+    .then(async blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
 
+        let list = await ReadingList.findOneAndUpdate({ _id: list_id, owner: user_id }, { $pull: { blogs: blog._id } })
+
+        if (!list) {
+            return res.status(404).json({ error: "Reading list not found" })
+        }
+
+        return res.status(200).json({ status: "Done" })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
 })
 
-server.post("/api/add-comment", verifyJWT, (req, res) => {
+server.post("/api/reading-list-reorder", verifyJWT, (req, res) => {
+
     let user_id = req.user
 
-    let { _id, comment, blog_author, replying_to, notification_id } = req.body
+    let { list_id, blog_ids } = req.body
 
-    if (!comment.length) {
-        return res.status(403).json({ error: "Please write something to comment" })
+    if (!Array.isArray(blog_ids)) {
+        return res.status(403).json({ error: "You must provide the new order of the blogs" })
     }
 
-    let commentObj = {
-        blog_id: _id, blog_author, comment, commented_by: user_id
+    ReadingList.findOne({ _id: list_id, owner: user_id })
+    .select("blogs")
+    .then(async list => {
+        if (!list) {
+            return res.status(404).json({ error: "Reading list not found" })
+        }
+
+        let blogs = await Blog.find({ blog_id: { $in: blog_ids } }).select("blog_id")
+
+        let ordered = blog_ids.map(id => blogs.find(blog => blog.blog_id == id)).filter(blog => blog).map(blog => blog._id.toString())
+        let current = list.blogs.map(id => id.toString())
+
+        if (ordered.length != current.length || new Set(ordered).size != current.length || !ordered.every(id => current.includes(id))) {
+            return res.status(403).json({ error: "The new order must contain exactly the blogs of the reading list" })
+        }
+
+        await ReadingList.updateOne({ _id: list_id }, { blogs: ordered })
+
+        return res.status(200).json({ status: "Done" })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/admin/users", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
+
+    let { page, query, role, suspended } = req.body
+
+    let maxLimit = 20
+    let findQuery = {}
+
+    if (query) {
+        findQuery.$or = [
+            { "personal_info.username": new RegExp(escapeRegex(query), 'i') },
+            { "personal_info.email": new RegExp(escapeRegex(query), 'i') }
+        ]
+    }
+    if (role) {
+        findQuery.role = role
+    }
+    if (suspended != undefined) {
+        findQuery.suspended = Boolean(suspended)
     }
 
-    if (replying_to) {
-        commentObj.parent = replying_to
-        commentObj.isReply = true
+    Promise.all([
+        User.find(findQuery)
+        .sort({ joinedAt: -1 })
+        .skip(((page || 1) - 1) * maxLimit)
+        .limit(maxLimit)
+        .select("personal_info.fullname personal_info.username personal_info.email personal_info.profile_img account_info role suspended suspension_reason email_verified joinedAt"),
+        User.countDocuments(findQuery)
+    ])
+    .then(([users, count]) => {
+        return res.status(200).json({ users, totalDocs: count })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+const canModerateUser = (req, target) => {
+    if (target._id == req.user || target.role == "admin") {
+        return false
     }
+    return req.role == "admin" || target.role != "moderator"
+}
 
-    new Comment(commentObj).save().then(async commentFile => {
-        let { comment, commentedAt, children } = commentFile
+server.post("/api/admin/suspend-user", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
 
-        Blog.findOneAndUpdate({ _id }, { $push: { "comments": commentFile._id }, $inc: { "activity.total_comments": 1, "activity.total_parent_comments": replying_to ? 0 : 1 } })
-        .then(blog => {console.log('New comment created')})
+    let { username, reason } = req.body
 
-        let notificationObj = {
-            type: replying_to ? "reply" : "comment",
-            blog: _id,
-            notification_for: blog_author,
-            user: user_id,
-            comment: commentFile._id
+    User.findOne({ "personal_info.username": username })
+    .select("role")
+    .then(async user => {
+        if (!user) {
+            return res.status(404).json({ error: "User not found" })
+        }
+        if (!canModerateUser(req, user)) {
+            return res.status(403).json({ error: "You cannot suspend this user" })
+        }
+
+        await User.updateOne({ _id: user._id }, { suspended: true, suspension_reason: reason || "" })
+        await Session.updateMany({ user: user._id, revoked: false }, { revoked: true })
+
+        return res.status(200).json({ status: "Done" })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/admin/unsuspend-user", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
+
+    let { username } = req.body
+
+    User.findOne({ "personal_info.username": username })
+    .select("role")
+    .then(async user => {
+        if (!user) {
+            return res.status(404).json({ error: "User not found" })
+        }
+        if (!canModerateUser(req, user)) {
+            return res.status(403).json({ error: "You cannot unsuspend this user" })
+        }
+
+        await User.updateOne({ _id: user._id }, { suspended: false, suspension_reason: "" })
+
+        return res.status(200).json({ status: "Done" })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/admin/set-role", verifyJWT, verifyRole("admin"), (req, res) => {
+
+    let { username, role } = req.body
+
+    if (!["reader", "author", "moderator", "admin"].includes(role)) {
+        return res.status(403).json({ error: "Role is invalid" })
+    }
+
+    User.findOneAndUpdate({ "personal_info.username": username, _id: { $ne: req.user } }, { role })
+    .then(user => {
+        if (!user) {
+            return res.status(404).json({ error: "User not found" })
+        }
+        return res.status(200).json({ username, role })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/api/admin/update-tag", verifyJWT, verifyRole("admin"), (req, res) => {
+
+    let { tag, description } = req.body
+
+    if (typeof description != "string" || description.length > 300) {
+        return res.status(403).json({ error: "Tag description must be under 300 characters" })
+    }
+
+    Tag.findOneAndUpdate({ name: cleanTagName(tag), alias_of: null }, { description }, { new: true })
+    .select("name description post_count follower_count -_id")
+    .then(tag => {
+        if (!tag) {
+            return res.status(404).json({ error: "Tag not found" })
         }
+        return res.status(200).json({ tag })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+// Moves every blog and follower of `from` to `to` and keeps `from` as an alias,
+// so create-blog saves `to` whenever an author types `from` again
+server.post("/api/admin/merge-tags", verifyJWT, verifyRole("admin"), async (req, res) => {
+
+    let source = cleanTagName(req.body.from)
+    let target = cleanTagName(req.body.to)
+
+    if (!source.length || !target.length || source == target) {
+        return res.status(403).json({ error: "Please provide two different tags" })
+    }
+
+    try {
+        let targetTag = await Tag.findOne({ name: target })
+
+        if (targetTag && targetTag.alias_of) {
+            target = targetTag.alias_of
+            targetTag = await Tag.findOne({ name: target })
+        }
+        if (target == source) {
+            return res.status(403).json({ error: `${req.body.to} is already an alias of ${source}` })
+        }
+
+        await Blog.updateMany({ tags: source }, { $addToSet: { tags: target } }, { timestamps: false })
+        await Blog.updateMany({ tags: source }, { $pull: { tags: source } }, { timestamps: false })
+
+        await User.updateMany({ followed_tags: source }, { $addToSet: { followed_tags: target } })
+        await User.updateMany({ followed_tags: source }, { $pull: { followed_tags: source } })
 
-        if (replying_to) {
-            notificationObj.replied_on_comment = replying_to
+        await Tag.updateMany({ alias_of: source }, { alias_of: target })
 
-            await Comment.findOneAndUpdate({ _id: replying_to }, { $push: { children: commentFile._id } })
-            .then(replyingToCommentDoc => {
-                notificationObj.notification_for = replyingToCommentDoc.commented_by
-            })
+        let sourceTag = await Tag.findOneAndUpdate({ name: source }, { alias_of: target, post_count: 0, follower_count: 0 }, { upsert: true })
 
-            if (notification_id) {
-                Notification.findOneAndUpdate({ _id: notification_id }, { reply: commentFile._id })
-                .then(notification => console.log("notif updated"))
-            }
+        let [post_count, follower_count] = await Promise.all([
+            Blog.countDocuments({ tags: target, draft: false }),
+            User.countDocuments({ followed_tags: target })
+        ])
+
+        let update = { post_count, follower_count }
+
+        if (!(targetTag && targetTag.description) && sourceTag && sourceTag.description) {
+            update.description = sourceTag.description
         }
 
-        new Notification(notificationObj).save().then(notif => console.log('New notification'))
+        await Tag.updateOne({ name: target }, update, { upsert: true })
 
-        return res.status(200).json({
-            comment, commentedAt, _id: commentFile._id, user_id, children
-        })
-    })
+        relatedCache.clear()
+
+        return res.status(200).json({ from: source, to: target, post_count, follower_count })
+    } catch (err) {
+        return res.status(500).json({ error: err.message })
+    }
 })
 
-server.post("/api/get-blog-comments", (req, res) => {
-    let { blog_id, skip } = req.body
+server.post("/api/admin/remove-tag-alias", verifyJWT, verifyRole("admin"), (req, res) => {
 
-    let maxLimit = 5
+    let name = cleanTagName(req.body.tag)
 
-    Comment.find({ blog_id, isReply: false })
-    .populate("commented_by", "personal_info.fullname personal_info.username personal_info.profile_img")
-    .skip(skip)
-    .limit(maxLimit)
-    .sort({
-        "commentedAt": -1
-    })
-    .then(comment => {
-        return res.status(200).json(comment)
+    // Blogs already moved by the merge keep the target tag
+    Tag.findOneAndUpdate({ name, alias_of: { $ne: null } }, { alias_of: null })
+    .then(tag => {
+        if (!tag) {
+            return res.status(404).json({ error: "Tag alias not found" })
+        }
+        return res.status(200).json({ tag: name, alias_of: null })
     })
     .catch(err => {
-        console.log(err.message);
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/get-replies", (req, res) => {
+server.post("/api/admin/unpublish-blog", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
 
-    let { _id, skip } = req.body
-
-    let maxLimit = 5
+    let { blog_id } = req.body
 
-    Comment.findOne({ _id })
-    .populate({
-        path: "children",
-        options: {
-            limit: maxLimit,
-            skip: skip,
-            sort: { 'commentedAt': -1 }
-        },
-        populate: {
-            path: 'commented_by',
-            select: "personal_info.profile_img personal_info.fullname personal_info.username"
-        },
-        select: "-blog_id -updatedAt"
-    })
-    .select("children")
-    .then(doc => {
-        return res.status(200).json({ replies: doc.children})
+    unpublishBlog(blog_id)
+    .then(blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Published blog not found" })
+        }
+        return res.status(200).json({ status: "Done" })
     })
     .catch(err => {
         return res.status(500).json({ error: err.message })
     })
 })
 
-const deleteComments = (_id) => {
-    Comment.findOneAndDelete({ _id })
-    .then(comment => {
-        if (comment.parent) {
-            Comment.findOneAndUpdate({ _id: comment.parent }, { $pull: { children: _id } })
-            .then(data => console.log('Comment delete from parent'))
-            .catch(err => console.log(err))
-        }
+server.post("/api/admin/delete-blog", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
 
-        Notification.findOneAndDelete({ comment: _id })
-        .then(notif => console.log('Comment notification deleted'))
+    let { blog_id } = req.body
 
-        Notification.findOneAndUpdate({ reply: _id }, { $unset: { reply: 1 } })
-        .then(notif => console.log('Reply notification deleted'))
+    Blog.findOneAndDelete({ blog_id })
+    .then(blog => {
+        if (!blog) {
+            return res.status(404).json({ error: "Blog not found" })
+        }
 
-        Blog.findOneAndUpdate({ _id: comment.blog_id }, { $pull: { comments: _id }, $inc: { "activity.total_comments": -1, "activity.total_parent_comments": comment.parent ? 0 : -1 } })
-        .then(blog => {
-            if (comment.children.length) {
-                comment.children.map(replies => {
-                    deleteComments(replies)
-                })
-            }
-        })
+        deleteBlog(blog)
+
+        return res.status(200).json({ status: "Done" })
     })
     .catch(err => {
-        console.log(err.message);
+        return res.status(500).json({ error: err.message })
     })
-}
-
-server.post("/api/delete-comment", verifyJWT, (req, res) => {
+})
 
-    let user_id = req.user
+server.post("/api/admin/delete-comment", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
 
     let { _id } = req.body
 
-    Comment.findOne({ _id })
+    Comment.exists({ _id })
     .then(comment => {
-        if (user_id == comment.commented_by || user_id == comment.blog_author) {
-            deleteComments(_id)
-
-            return res.status(200).json({ status: "Done" })
-        } else {
-            return res.status(403).json({ error: "You cannot delete this comment" })
+        if (!comment) {
+            return res.status(404).json({ error: "Comment not found" })
         }
-    })
-})
 
-server.get("/api/new-notification", verifyJWT, (req, res) => {
-
-    let user_id = req.user
+        deleteComments(_id)
 
-    Notification.exists({ notification_for: user_id, seen: false, user: { $ne: user_id } })
-    .then(result => {
-        if (result) {
-            return res.status(200).json({ new_notification_available: true })
-        } else {
-            return res.status(200).json({ new_notification_available: false })
-         }
+        return res.status(200).json({ status: "Done" })
     })
     .catch(err => {
-        console.log(err.message);
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/notifications", verifyJWT, (req, res) => {
-
-    let user_id = req.user
-    let { page, filter, deletedDocCount } = req.body
-
-    let maxLimit = 10
-    let findQuery = { notification_for: user_id, user: { $ne: user_id } }
-    let skipDocs = (page - 1) * maxLimit
-
-    if (filter != 'all') {
-        findQuery.type = filter
-    }
-
-    if (deletedDocCount) {
-        skipDocs -= deletedDocCount
-    }
-
-    Notification.find(findQuery)
-    .skip(skipDocs)
-    .limit(maxLimit)
-    .populate("blog", "title blog_id")
-    .populate("user", "personal_info.fullname personal_info.username personal_info.profile_img")
-    .populate("comment", "comment")
-    .populate("replied_on_comment", "comment")
-    .populate("reply", "comment")
-    .sort({ createdAt: -1 })
-    .select("createdAt type seen reply")
-    .then(notifications => {
-        Notification.updateMany(findQuery, { seen: true })
-        .skip(skipDocs)
-        .limit(maxLimit)
-        .then(() => console.log("Notification seen"))
-
-        return res.status(200).json({ notifications })
+server.get("/api/admin/stats", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
+
+    Promise.all([
+        User.countDocuments({}),
+        User.countDocuments({ suspended: true }),
+        Blog.countDocuments({ draft: false }),
+        Blog.countDocuments({ draft: true }),
+        Comment.countDocuments({}),
+        Session.countDocuments({ revoked: false, expiresAt: { $gt: new Date() } })
+    ])
+    .then(([total_users, suspended_users, published_blogs, draft_blogs, total_comments, active_sessions]) => {
+        return res.status(200).json({ total_users, suspended_users, published_blogs, draft_blogs, total_comments, active_sessions })
     })
     .catch(err => {
-        console.log(err.message);
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/all-notifications-count", verifyJWT, (req, res) => {
+let reportReasons = ["spam", "harassment", "hate_speech", "misinformation", "sexual_content", "violence", "copyright", "other"]
+
+server.post("/api/report", verifyJWT, (req, res) => {
 
     let user_id = req.user
 
-    let { filter } = req.body
+    let { target_type, blog_id, _id, reason, note } = req.body
+
+    if (!reportReasons.includes(reason)) {
+        return res.status(403).json({ error: "Please choose a reason for the report" })
+    }
+    if (note && note.length > 500) {
+        return res.status(403).json({ error: "Report note should not be more than 500 characters" })
+    }
 
-    let findQuery = { notification_for: user_id, user: { $ne: user_id } }
+    let findTarget
 
-    if (filter != 'all') {
-        findQuery.type = filter
+    if (target_type == "blog") {
+        findTarget = Blog.findOne({ blog_id, draft: false }).select("title")
+        .then(blog => blog && { target: blog._id, blog: blog._id, preview: blog.title })
+    } else if (target_type == "comment") {
+        findTarget = Comment.findOne({ _id }).select("blog_id comment")
+        .then(comment => comment && { target: comment._id, blog: comment.blog_id, preview: comment.comment.substring(0, 200) })
+    } else {
+        return res.status(403).json({ error: "You can only report a blog or a comment" })
     }
 
-    Notification.countDocuments(findQuery)
-    .then(count => {
-        return res.status(200).json({ totalDocs: count })
+    findTarget
+    .then(target => {
+        if (!target) {
+            return res.status(404).json({ error: "Reported content not found" })
+        }
+
+        // A second report from the same user on the same target only updates the open one
+        return Report.findOneAndUpdate(
+            { reporter: user_id, target: target.target, status: "open" },
+            { target_type, blog: target.blog, preview: target.preview, reason, note: note || "" },
+            { upsert: true, new: true, runValidators: true }
+        )
+        .then(report => {
+            return res.status(200).json({ status: "Reported", report_id: report._id })
+        })
     })
     .catch(err => {
-        console.log(err.message);
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/user-written-blogs", verifyJWT, (req, res) => {
-    let user_id = req.user
+server.post("/api/moderation/reports", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
 
-    let { page, draft, query, deletedDocCount } = req.body
+    let { page, target_type } = req.body
 
-    let maxLimit = 5
-    let skipDocs = (page - 1) * maxLimit
+    let maxLimit = 10
+    let matchQuery = { status: "open" }
 
-    if (deletedDocCount) {
-        skipDocs -= deletedDocCount
+    if (target_type) {
+        matchQuery.target_type = target_type
     }
 
-    Blog.find({ author: user_id, draft, title: new RegExp(query, 'i') })
-    .skip(skipDocs)
-    .limit(maxLimit)
-    .sort({ publishedAt: -1 })
-    .select("title banner publishedAt blog_id activity des draft -_id")
-    .then(blogs => {
-        return res.status(200).json({ blogs })
+    Report.aggregate([
+        { $match: matchQuery },
+        { $sort: { createdAt: -1 } },
+        { $group: {
+            _id: { target_type: "$target_type", target: "$target" },
+            blog: { $first: "$blog" },
+            preview: { $first: "$preview" },
+            total_reports: { $sum: 1 },
+            reasons: { $push: "$reason" },
+            notes: { $push: "$note" },
+            lastReportedAt: { $first: "$createdAt" }
+        } },
+        { $sort: { total_reports: -1, lastReportedAt: -1 } },
+        { $facet: {
+            targets: [{ $skip: ((page || 1) - 1) * maxLimit }, { $limit: maxLimit }],
+            total: [{ $count: "count" }]
+        } }
+    ])
+    .then(async ([{ targets, total }]) => {
+        let blogs = await Blog.find({ _id: { $in: targets.map(t => t.blog) } })
+        .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+        .select("blog_id title draft author")
+
+        let comments = await Comment.find({ _id: { $in: targets.filter(t => t._id.target_type == "comment").map(t => t._id.target) } })
+        .populate("commented_by", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+        .select("comment commented_by hidden commentedAt")
+
+        let reports = targets.map(({ _id, blog, reasons, notes, ...target }) => {
+            let reason_counts = reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {})
+
+            return {
+                ...target,
+                target_type: _id.target_type,
+                target_id: _id.target,
+                reason_counts,
+                notes: notes.filter(note => note.length),
+                blog: blogs.find(b => b._id.toString() == blog.toString()) || null,
+                comment: _id.target_type == "comment" ? comments.find(c => c._id.toString() == _id.target.toString()) || null : undefined
+            }
+        })
+
+        return res.status(200).json({ reports, totalDocs: total.length ? total[0].count : 0 })
     })
     .catch(err => {
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/user-written-blogs-count", verifyJWT, (req, res) => {
-    let user_id = req.user
+server.post("/api/moderation/comment-history", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
 
-    let { draft, query } = req.body
+    let { _id } = req.body
 
-    Blog.countDocuments({ author: user_id, draft, title: new RegExp(query, "i") })
-    .then(count => {
-        return res.status(200).json({ totalDocs: count })
+    Comment.findOne({ _id })
+    .populate("commented_by", "personal_info.fullname personal_info.username personal_info.profile_img")
+    .select("comment commented_by commentedAt edited editedAt hidden +history")
+    .then(comment => {
+        if (!comment) {
+            return res.status(404).json({ error: "Comment not found" })
+        }
+        return res.status(200).json({ comment })
     })
     .catch(err => {
-        console.log(err);
         return res.status(500).json({ error: err.message })
     })
 })
 
-server.post("/api/delete-blog", verifyJWT, (req, res) => {
+server.post("/api/moderation/resolve-report", verifyJWT, verifyRole("moderator", "admin"), (req, res) => {
 
     let user_id = req.user
-    let { blog_id } = req.body
 
-    Blog.findOneAndDelete({ blog_id })
-    .then(blog => {
+    let { target_type, target_id, action } = req.body
+
+    let statusByAction = { dismiss: "dismissed", hide: "hidden", delete: "deleted" }
 
-        Notification.deleteMany({ blog: blog._id })
-        .then(data => console.log("Notification deleted"))
+    if (!statusByAction[action]) {
+        return res.status(403).json({ error: "Action must be dismiss, hide or delete" })
+    }
 
-        Comment.deleteMany({ blog_id: blog._id })
-        .then(data => console.log("Comment deleted"))
+    Report.find({ target_type, target: target_id, status: "open" })
+    .select("reporter")
+    .then(async reports => {
+        if (!reports.length) {
+            return res.status(404).json({ error: "There are no open reports for this content" })
+        }
 
-        User.findOneAndUpdate({ _id: user_id }, { $pull: { blog: blog._id }, $inc: { "account_info.total_posts": -1 } })
-        .then(user => console.log("blog deleted"))
+        if (target_type == "blog" && action != "dismiss") {
+            let blog = await Blog.findOne({ _id: target_id }).select("blog_id")
 
-        return res.status(200).json({ status: "Done" })
+            if (blog && action == "hide") {
+                await unpublishBlog(blog.blog_id)
+            }
+            if (blog && action == "delete") {
+                deleteBlog(await Blog.findOneAndDelete({ _id: target_id }))
+            }
+        }
+        if (target_type == "comment" && action == "hide") {
+            await Comment.updateOne({ _id: target_id }, { hidden: true })
+        }
+        if (target_type == "comment" && action == "delete" && await Comment.exists({ _id: target_id })) {
+            deleteComments(target_id)
+        }
 
+        await Report.updateMany({ _id: { $in: reports.map(r => r._id) } }, { status: statusByAction[action], resolved_by: user_id, resolvedAt: new Date() })
+
+        reports.forEach(report => {
+            createNotification({
+                type: "report_resolved",
+                notification_for: report.reporter,
+                user: user_id,
+                report: report._id
+            }).then(notif => console.log('New notification'))
+        })
+
+        return res.status(200).json({ status: statusByAction[action] })
     })
     .catch(err => {
         return res.status(500).json({ error: err.message })
     })
-
 })
 
 server.get('/api/employeeDetail', (req, res) => {
@@ -1015,6 +4151,227 @@ server.get('/api/employeeDetail', (req, res) => {
     }
 })
 
+let feedLimit = 20
+
+const sendFeed = (req, res, { title, description, link, findQuery }) => {
+    let format = feedFormats[req.params.format]
+
+    if (!format) {
+        return res.status(404).json({ error: "Feed format must be rss, atom or json" })
+    }
+
+    Blog.find({ ...findQuery, draft: false })
+    .populate("author", "personal_info.fullname personal_info.username -_id")
+    .sort({ "publishedAt": -1 })
+    .select("blog_id title des banner content tags publishedAt updatedAt -_id")
+    .limit(feedLimit)
+    .then(blogs => {
+        // Blogs whose author account was deleted have nobody to credit
+        blogs = blogs.filter(blog => blog.author)
+
+        let updated = new Date(Math.max(0, ...blogs.map(blog => blog.updatedAt.getTime())))
+
+        let etag = `W/"${crypto.createHash("sha1")
+        .update(req.params.format + blogs.map(blog => blog.blog_id + blog.updatedAt.getTime()).join())
+        .digest("hex")}"`
+
+        res.set({
+            "ETag": etag,
+            "Last-Modified": updated.toUTCString(),
+            "Cache-Control": "public, max-age=300"
+        })
+
+        if (req.fresh) {
+            return res.status(304).end()
+        }
+
+        let items = blogs.map(blog => ({
+            url: `${process.env.CLIENT_URL}/blog/${blog.blog_id}`,
+            title: blog.title,
+            summary: blog.des || "",
+            image: blog.banner,
+            author: {
+                name: blog.author.personal_info.fullname,
+                url: `${process.env.CLIENT_URL}/user/${blog.author.personal_info.username}`
+            },
+            tags: blog.tags,
+            published: blog.publishedAt,
+            updated: blog.updatedAt,
+            content_html: blocksToHTML(getBlocks(blog.content))
+        }))
+
+        res.type(format.contentType)
+        return res.status(200).send(format.build({
+            title, description, link, updated, items,
+            feed_url: `${process.env.SERVER_URL}${req.originalUrl}`
+        }))
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+}
+
+server.get("/api/feed/author/:username/:format", (req, res) => {
+
+    let { username } = req.params
+
+    User.findOne({ "personal_info.username": username })
+    .select("personal_info.fullname personal_info.bio")
+    .then(user => {
+        if (!user) {
+            return res.status(404).json({ error: "User not found" })
+        }
+
+        return sendFeed(req, res, {
+            title: `${user.personal_info.fullname} - Pen n Pixel`,
+            description: user.personal_info.bio || `Latest blogs by ${user.personal_info.fullname}`,
+            link: `${process.env.CLIENT_URL}/user/${username}`,
+            findQuery: { author: user._id }
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.get("/api/feed/tag/:tag/:format", (req, res) => {
+
+    normalizeTags([req.params.tag])
+    .then(([tag = ""]) => {
+        return sendFeed(req, res, {
+            title: `#${tag} - Pen n Pixel`,
+            description: `Latest blogs tagged ${tag}`,
+            link: `${process.env.CLIENT_URL}/search/${encodeURIComponent(tag)}`,
+            findQuery: { tags: tag }
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.get("/api/feed/:format", (req, res) => {
+
+    return sendFeed(req, res, {
+        title: "Pen n Pixel",
+        description: "Latest blogs on Pen n Pixel",
+        link: process.env.CLIENT_URL,
+        findQuery: {}
+    })
+})
+
+// Each section knows how many urls it has and how to list one sitemap file worth of them
+let sitemapSections = {
+    blogs: {
+        count: () => Blog.countDocuments({ draft: false }),
+        urls: (skip, limit) => Blog.find({ draft: false })
+        .sort({ publishedAt: 1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select("blog_id updatedAt -_id")
+        .then(blogs => blogs.map(blog => ({ loc: `${process.env.CLIENT_URL}/blog/${blog.blog_id}`, lastmod: blog.updatedAt })))
+    },
+    profiles: {
+        count: () => User.countDocuments({ "account_info.total_posts": { $gt: 0 }, suspended: { $ne: true } }),
+        urls: (skip, limit) => User.find({ "account_info.total_posts": { $gt: 0 }, suspended: { $ne: true } })
+        .sort({ joinedAt: 1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select("personal_info.username updatedAt -_id")
+        .then(users => users.map(user => ({ loc: `${process.env.CLIENT_URL}/user/${user.personal_info.username}`, lastmod: user.updatedAt })))
+    },
+    tags: {
+        count: () => Blog.distinct("tags", { draft: false }).then(tags => tags.length),
+        urls: (skip, limit) => Blog.distinct("tags", { draft: false })
+        .then(tags => tags.sort().slice(skip, skip + limit).map(tag => ({ loc: `${process.env.CLIENT_URL}/search/${encodeURIComponent(tag)}` })))
+    }
+}
+
+server.get("/sitemap.xml", (req, res) => {
+
+    let sections = Object.keys(sitemapSections)
+
+    Promise.all(sections.map(section => sitemapSections[section].count()))
+    .then(async counts => {
+        let total = counts.reduce((sum, count) => sum + count, 0)
+
+        res.type("application/xml")
+
+        if (total <= sitemapLimit) {
+            let urls = await Promise.all(sections.map(section => sitemapSections[section].urls(0, sitemapLimit)))
+
+            return res.status(200).send(buildUrlset(urls.flat()))
+        }
+
+        let locs = []
+
+        sections.forEach((section, i) => {
+            for (let page = 1; page <= Math.ceil(counts[i] / sitemapLimit); page++) {
+                locs.push(`${process.env.SERVER_URL}/sitemaps/${section}-${page}.xml`)
+            }
+        })
+
+        return res.status(200).send(buildSitemapIndex(locs))
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.get("/sitemaps/:section-:page.xml", (req, res) => {
+
+    let section = sitemapSections[req.params.section]
+    let page = parseInt(req.params.page)
+
+    if (!section || !(page >= 1)) {
+        return res.status(404).json({ error: "Sitemap not found" })
+    }
+
+    section.urls((page - 1) * sitemapLimit, sitemapLimit)
+    .then(urls => {
+        if (!urls.length) {
+            return res.status(404).json({ error: "Sitemap not found" })
+        }
+        res.type("application/xml")
+        return res.status(200).send(buildUrlset(urls))
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+// Same path as the blog page on the client, so link preview crawlers can be routed here
+server.get("/blog/:blog_id", (req, res) => {
+
+    let { blog_id } = req.params
+
+    Blog.findOne({ blog_id, draft: false })
+    .populate("author", "personal_info.fullname personal_info.username -_id")
+    .select("blog_id title des banner tags publishedAt updatedAt -_id")
+    .then(blog => {
+        if (!blog || !blog.author) {
+            return res.status(404).type("html").send("<!DOCTYPE html><title>Blog not found</title><h1>Blog not found</h1>")
+        }
+
+        res.set("Cache-Control", "public, max-age=600")
+
+        return res.status(200).type("html").send(buildSharePage({
+            title: blog.title,
+            description: blog.des || "",
+            image: blog.banner,
+            url: `${process.env.CLIENT_URL}/blog/${blog.blog_id}`,
+            author: blog.author.personal_info.fullname,
+            author_url: `${process.env.CLIENT_URL}/user/${blog.author.personal_info.username}`,
+            published: blog.publishedAt,
+            modified: blog.updatedAt,
+            tags: blog.tags
+        }))
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
 server.get("/", (req, res) => {
     res.json({ message: "Pen n Pixel API"})
 })
@@ -1023,4 +4380,20 @@ connectDB().then(() => {
     server.listen(PORT, () => {
         console.log('listening on port --> ' + PORT)
     })
+
+    setInterval(() => {
+        publishScheduledBlogs().catch(err => console.log(err.message))
+    }, schedulerInterval)
+
+    updateTrendingScores().catch(err => console.log(err.message))
+
+    setInterval(() => {
+        updateTrendingScores().catch(err => console.log(err.message))
+    }, trendingInterval)
+
+    setInterval(() => {
+        sendNotificationDigests("daily")
+        .then(() => sendNotificationDigests("weekly"))
+        .catch(err => console.log(err.message))
+    }, digestInterval)
 })
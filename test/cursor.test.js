@@ -0,0 +1,82 @@
+const test = require("node:test")
+const assert = require("node:assert")
+const mongoose = require("mongoose")
+
+const { getPageQuery, splitPage } = require("../Utils/cursor")
+
+let sortQuery = { publishedAt: -1, _id: -1 }
+
+const makeDocs = (count) => {
+    return Array.from({ length: count }, (_, i) => ({ publishedAt: new Date(Date.UTC(2024, 0, count - i)), _id: new mongoose.Types.ObjectId() }))
+}
+
+test("splitPage returns no cursor when the page is the last one", () => {
+    let docs = makeDocs(3)
+    let page = splitPage(docs, sortQuery, 5, 0)
+
+    assert.deepStrictEqual(page.docs, docs)
+    assert.strictEqual(page.next_cursor, null)
+})
+
+test("splitPage drops the extra item and encodes the last item of the page", () => {
+    let docs = makeDocs(3)
+    let page = splitPage(docs, sortQuery, 2, 0)
+
+    assert.strictEqual(page.docs.length, 2)
+    assert.strictEqual(typeof page.next_cursor, "string")
+    assert.match(page.next_cursor, /^[\w-]+$/)
+})
+
+test("a cursor decodes back into a keyset query after the last item", () => {
+    let docs = makeDocs(3)
+    let { next_cursor } = splitPage(docs, sortQuery, 2, 0)
+    let last = docs[1]
+
+    let { pageQuery, skipDocs, error } = getPageQuery({ draft: false }, sortQuery, next_cursor)
+
+    assert.strictEqual(error, undefined)
+    assert.strictEqual(skipDocs, 0)
+    assert.strictEqual(pageQuery.draft, false)
+    assert.deepStrictEqual(pageQuery.$and, [{
+        $or: [
+            { publishedAt: { $lt: last.publishedAt } },
+            { publishedAt: last.publishedAt, _id: { $lt: last._id } }
+        ]
+    }])
+    assert.ok(pageQuery.$and[0].$or[1]._id.$lt instanceof mongoose.Types.ObjectId)
+})
+
+test("ascending sorts compare with $gt and keep existing $and conditions", () => {
+    let sort = { name: 1, blog_id: 1 }
+    let { next_cursor } = splitPage([{ name: "a", blog_id: "x" }, { name: "b", blog_id: "y" }], sort, 1, 0)
+
+    let { pageQuery } = getPageQuery({ $and: [{ draft: false }] }, sort, next_cursor)
+
+    assert.deepStrictEqual(pageQuery.$and, [
+        { draft: false },
+        { $or: [{ name: { $gt: "a" } }, { name: "a", blog_id: { $gt: "x" } }] }
+    ])
+})
+
+test("sorts that can't be compared in a query page by offset", () => {
+    let sort = { score: { $meta: "textScore" }, publishedAt: -1 }
+    let { next_cursor } = splitPage([1, 2, 3], sort, 2, 4)
+
+    assert.deepStrictEqual(getPageQuery({}, sort, next_cursor), { pageQuery: {}, skipDocs: 6 })
+})
+
+test("page numbers are used without a cursor and never skip below 0", () => {
+    assert.deepStrictEqual(getPageQuery({ a: 1 }, sortQuery, undefined, 10), { pageQuery: { a: 1 }, skipDocs: 10 })
+    assert.deepStrictEqual(getPageQuery({ a: 1 }, sortQuery, null, -5), { pageQuery: { a: 1 }, skipDocs: 0 })
+    assert.deepStrictEqual(getPageQuery({}, sortQuery, undefined, NaN), { error: "Page is invalid" })
+})
+
+test("malformed cursors are rejected", () => {
+    let offsetCursor = splitPage([1, 2], { score: { $meta: "textScore" } }, 1, 0).next_cursor
+    let shortCursor = Buffer.from(JSON.stringify({ after: [{ v: 1 }] })).toString("base64url")
+    let badDate = Buffer.from(JSON.stringify({ after: [{ d: "nope" }, { v: 1 }] })).toString("base64url")
+
+    for (let cursor of ["garbage", offsetCursor, shortCursor, badDate]) {
+        assert.deepStrictEqual(getPageQuery({}, sortQuery, cursor), { error: "Cursor is invalid" })
+    }
+})
@@ -0,0 +1,29 @@
+const test = require("node:test")
+const assert = require("node:assert")
+
+const { feedFormats } = require("../Utils/feeds")
+
+let feed = {
+    title: "Blog & co", description: "All posts", link: "https://a.com", feed_url: "https://a.com/feed",
+    updated: new Date(Date.UTC(2024, 0, 2)),
+    items: [{
+        id: "https://a.com/blog/1", url: "https://a.com/blog/1", title: "First <post>", summary: "sum",
+        image: "", author: { name: "Ann", url: "https://a.com/user/ann" }, tags: ["js"],
+        published: new Date(Date.UTC(2024, 0, 1)), updated: new Date(Date.UTC(2024, 0, 2)), content_html: "<p>hi ]]> there</p>"
+    }]
+}
+
+test("RSS escapes text and keeps content in CDATA", () => {
+    let rss = feedFormats.rss.build(feed)
+
+    assert.match(rss, /<title>Blog &amp; co<\/title>/)
+    assert.match(rss, /<title>First &lt;post&gt;<\/title>/)
+    assert.ok(rss.includes("<![CDATA[<p>hi ]]]]><![CDATA[> there</p>]]>"))
+})
+
+test("JSON Feed is valid JSON with the items", () => {
+    let json = JSON.parse(feedFormats.json.build(feed))
+
+    assert.strictEqual(json.items.length, 1)
+    assert.strictEqual(json.items[0].url, "https://a.com/blog/1")
+})
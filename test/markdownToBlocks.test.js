@@ -0,0 +1,66 @@
+const test = require("node:test")
+const assert = require("node:assert")
+
+const { markdownToBlocks } = require("../Utils/markdownToBlocks")
+
+test("front matter is read and removed from the content", () => {
+    let { frontMatter, blocks } = markdownToBlocks("---\ntitle: \"Hello\"\ntags: [a, b]\n---\n\nBody")
+
+    assert.deepStrictEqual(frontMatter, { title: "Hello", tags: ["a", "b"] })
+    assert.deepStrictEqual(blocks, [{ type: "paragraph", data: { text: "Body" } }])
+})
+
+test("inline formatting becomes Editor.js inline HTML", () => {
+    let { blocks } = markdownToBlocks("**bold** *it* `a*b*` [link](https://a.com) <tag>")
+
+    assert.strictEqual(blocks[0].data.text, '<b>bold</b> <i>it</i> <code class="inline-code">a*b*</code> <a href="https://a.com">link</a> &lt;tag&gt;')
+})
+
+test("underscores and asterisks in link URLs are not emphasis", () => {
+    let { blocks } = markdownToBlocks("[x](https://x.com/_a_/b) and [*y*](https://x.com/*b*/__c__)")
+
+    assert.strictEqual(blocks[0].data.text, '<a href="https://x.com/_a_/b">x</a> and <a href="https://x.com/*b*/__c__"><i>y</i></a>')
+})
+
+test("backslash escapes are kept as literal characters", () => {
+    let { blocks } = markdownToBlocks("\\*not italic\\* and \\_x\\_")
+
+    assert.strictEqual(blocks[0].data.text, "*not italic* and _x_")
+})
+
+test("headings, quotes, images and code fences map to their blocks", () => {
+    let { blocks } = markdownToBlocks("# Title\n\n> quoted\n\n![alt](https://a.com/i.png)\n\n```js\nlet a = 1\n```")
+
+    assert.deepStrictEqual(blocks.map(block => block.type), ["header", "quote", "image", "code"])
+    assert.deepStrictEqual(blocks[0].data, { text: "Title", level: 1 })
+    assert.strictEqual(blocks[2].data.file.url, "https://a.com/i.png")
+    assert.deepStrictEqual(blocks[3].data, { code: "let a = 1", language: "js" })
+})
+
+test("horizontal rules become delimiters and task lists become checklists", () => {
+    let { blocks, warnings } = markdownToBlocks("Intro\n\n***\n\n- [ ] todo\n- [x] done")
+
+    assert.deepStrictEqual(blocks.slice(1), [
+        { type: "delimiter", data: {} },
+        { type: "checklist", data: { items: [{ text: "todo", checked: false }, { text: "done", checked: true }] } }
+    ])
+    assert.deepStrictEqual(warnings, [])
+})
+
+test("lists switch blocks when the list style changes", () => {
+    let { blocks } = markdownToBlocks("- a\n- b\n1. c")
+
+    assert.deepStrictEqual(blocks, [
+        { type: "list", data: { style: "unordered", items: ["a", "b"] } },
+        { type: "list", data: { style: "ordered", items: ["c"] } }
+    ])
+})
+
+test("unsupported constructs are reported with their line", () => {
+    let { warnings } = markdownToBlocks("text\n\n| a | b |\n| --- | --- |\n| 1 | 2 |\n\n~~gone~~")
+
+    assert.deepStrictEqual(warnings.map(({ line, construct }) => ({ line, construct })), [
+        { line: 3, construct: "table" },
+        { line: 7, construct: "strikethrough" }
+    ])
+})
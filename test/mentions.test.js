@@ -0,0 +1,18 @@
+const test = require("node:test")
+const assert = require("node:assert")
+
+const { extractMentions } = require("../Utils/mentions")
+
+test("mentions are found once each, emails are ignored", () => {
+    assert.deepStrictEqual(extractMentions("hi @bob and @alice_x, mail a@b.com, @bob again"), [["bob"], ["alice_x"]])
+})
+
+test("trailing punctuation is offered as a shorter candidate", () => {
+    assert.deepStrictEqual(extractMentions("thanks @bob. and @al--"), [["bob.", "bob"], ["al--", "al-", "al"]])
+})
+
+test("no more than 10 mentions are read", () => {
+    let text = Array.from({ length: 12 }, (_, i) => `@user${i}`).join(" ")
+
+    assert.strictEqual(extractMentions(text).length, 10)
+})
@@ -0,0 +1,48 @@
+const test = require("node:test")
+const assert = require("node:assert")
+
+const { blocksToHTML, blocksToMarkdown } = require("../Utils/renderBlocks")
+
+let blocks = [
+    { type: "header", data: { text: "Hi <b>there</b>", level: 2 } },
+    { type: "paragraph", data: { text: 'a <a href="javascript:alert(1)">x</a> <script>bad</script> <i>i</i>' } },
+    { type: "list", data: { style: "ordered", items: ["one", "two"] } },
+    { type: "code", data: { code: "<x>", language: "js" } },
+    { type: "mystery", data: { text: "plain" } }
+]
+
+test("blocksToHTML keeps allowed inline tags and drops unsafe markup", () => {
+    assert.strictEqual(blocksToHTML(blocks), [
+        "<h2>Hi <b>there</b></h2>",
+        "<p>a <a>x</a> bad <i>i</i></p>",
+        "<ol><li>one</li><li>two</li></ol>",
+        "<pre><code>&lt;x&gt;</code></pre>",
+        "<p>plain</p>"
+    ].join("\n"))
+})
+
+test("blocksToMarkdown converts inline HTML to Markdown", () => {
+    assert.strictEqual(blocksToMarkdown(blocks), [
+        "## Hi **there**",
+        "a x bad _i_",
+        "1. one\n2. two",
+        "```js\n<x>\n```",
+        "plain"
+    ].join("\n\n") + "\n")
+})
+
+test("blocksToMarkdown encodes URLs so they can't close the link early", () => {
+    let markdown = blocksToMarkdown([
+        { type: "paragraph", data: { text: '<a href="https://a.com/x)y">l</a>' } },
+        { type: "image", data: { file: { url: "https://a.com/a b(1).png" }, caption: "cap <i>it</i>" } }
+    ])
+
+    assert.strictEqual(markdown, "[l](https://a.com/x%29y)\n\n![cap it](https://a.com/a%20b%281%29.png)\n_cap it_\n")
+})
+
+test("images with unsafe URLs are left out", () => {
+    let image = { type: "image", data: { file: { url: "javascript:alert(1)" }, caption: "" } }
+
+    assert.strictEqual(blocksToHTML([image]), "")
+    assert.strictEqual(blocksToMarkdown([image]).trim(), "")
+})
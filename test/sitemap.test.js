@@ -0,0 +1,12 @@
+const test = require("node:test")
+const assert = require("node:assert")
+
+const { buildUrlset, buildSitemapIndex } = require("../Utils/sitemap")
+
+test("sitemaps escape locations and include lastmod when given", () => {
+    let urlset = buildUrlset([{ loc: "https://a.com/?a=1&b=2", lastmod: new Date(0) }, { loc: "https://a.com/x" }])
+
+    assert.ok(urlset.includes("<loc>https://a.com/?a=1&amp;b=2</loc>"))
+    assert.strictEqual(urlset.match(/<lastmod>/g).length, 1)
+    assert.ok(buildSitemapIndex(["https://a.com/s-1.xml"]).includes("<sitemap>\n        <loc>https://a.com/s-1.xml</loc>"))
+})
@@ -0,0 +1,23 @@
+const test = require("node:test")
+const assert = require("node:assert")
+
+const { trendingScore } = require("../Utils/trending")
+
+let hour = 60 * 60 * 1000
+let now = new Date(Date.UTC(2024, 0, 10))
+
+test("likes and comments weigh more than reads", () => {
+    let publishedAt = new Date(now - hour)
+
+    assert.ok(trendingScore({ reads: 0, likes: 1, comments: 0 }, publishedAt, now) > trendingScore({ reads: 2, likes: 0, comments: 0 }, publishedAt, now))
+})
+
+test("the same activity scores lower on an older post", () => {
+    let activity = { reads: 10, likes: 2, comments: 1 }
+
+    assert.ok(trendingScore(activity, new Date(now - hour), now) > trendingScore(activity, new Date(now - 48 * hour), now))
+})
+
+test("negative net counts and missing fields count as 0", () => {
+    assert.strictEqual(trendingScore({ reads: 0, likes: -3 }, now, now), 0)
+})